@@ -5,23 +5,45 @@
 'use strict'
 
 require('dotenv').config()
+const AccessList = require('./lib/accessList')
+const ApiKeys = require('./lib/apiKeys')
 const BigInteger = require('big-integer')
 const BodyParser = require('body-parser')
+const ChainMonitor = require('./lib/chainMonitor')
+const ClientIpResolver = require('./lib/clientIpResolver')
 const Compression = require('compression')
 const CoinUtils = new (require('chimera-utils').CryptoNote)()
 const Config = require('./config.json')
+const DaemonRpc = require('./lib/daemonRpc')
 const DatabaseBackend = require('./lib/databaseBackend')
 const DNS = require('dns')
 const Express = require('express')
 const Helmet = require('helmet')
+const HealthCheck = require('./lib/healthCheck')
 const Helpers = require('./lib/helpers')
 const isHex = require('is-hex')
+const JsonRpc = require('./lib/jsonRpc')
 const Logger = require('./lib/logger')
+const MessagePack = require('./lib/messagePack')
+const Metrics = require('./lib/metrics')
 const RabbitMQ = require('./lib/rabbit')
+const RateLimiter = require('./lib/rateLimiter')
+const RelayRouter = require('./lib/relayRouter')
+const RequestContext = require('./lib/requestContext')
 const semver = require('semver')
+const SubmissionTracker = require('./lib/submissionTracker')
 const Transaction = require('chimera-utils').Transaction
+const TransactionValidator = require('./lib/transactionValidator')
 const util = require('util')
 
+/* Environment variables are strings, so we have to work out whether a
+   flag like USE_METRICS=false is turning something on or off */
+function envFlag (value, fallback) {
+  if (typeof value === 'undefined' || value === '') return fallback
+
+  return (['1', 'true', 'yes', 'on'].indexOf(value.toLowerCase()) !== -1)
+}
+
 /* Load in our environment variables */
 const env = {
   mysql: {
@@ -45,9 +67,21 @@ const env = {
   },
   useNodeMonitor: process.env.USE_NODE_MONITOR || Config.useNodeMonitor || false,
   usePoolMonitor: process.env.USE_POOL_MONITOR || Config.usePoolMonitor || false,
-  checkPointsDomain: process.env.CHECKPOINTS_DOMAIN || Config.checkPointsDomain || false
+  checkPointsDomain: process.env.CHECKPOINTS_DOMAIN || Config.checkPointsDomain || false,
+  useMetrics: envFlag(process.env.USE_METRICS, Config.useMetrics || false),
+  nodeFeePrivateViewKey: process.env.NODE_FEE_PRIVATE_VIEW_KEY || Config.nodeFee.privateViewKey || false,
+  submissionSalt: process.env.SUBMISSION_SALT || '',
+  accessListFile: process.env.ACCESS_LIST_FILE || Config.accessList.file || false,
+  apiKeysFile: process.env.API_KEYS_FILE || Config.apiKeys.file || false,
+  logFormat: process.env.LOG_FORMAT || Config.logging.format,
+  logLevel: process.env.LOG_LEVEL || Config.logging.level
 }
 
+Logger.configure({
+  format: env.logFormat,
+  level: env.logLevel
+})
+
 if (!process.env.NODE_ENV || process.env.NODE_ENV.toLowerCase() !== 'production') {
   Logger.warning('Node.js is not running in production mode. Consider running in production mode: export NODE_ENV=production'.yellow)
 }
@@ -82,11 +116,265 @@ rabbit.on('connect', () => {
   Logger.log('[RABBIT] connected to server at %s', env.publicRabbit.host)
 })
 
+/* Set up our chain monitor that watches for new blocks, reorgs,
+   and transaction pool changes */
+const monitor = new ChainMonitor(database, {
+  pollInterval: Config.events.pollInterval,
+  reorgDepth: Config.events.reorgDepth
+})
+monitor.setMaxListeners(0)
+
+monitor.on('error', error => {
+  Logger.error('[MONITOR] %s', error.toString())
+})
+
+/* When the chain is reorganized, we need to purge anything in
+   the cache that may still contain data from the orphaned blocks */
+monitor.on('reorg', reorg => {
+  Logger.warning('[MONITOR] Chain reorganization detected, forked at height %s orphaning %s block(s), new top block %s at height %s', reorg.forkHeight, reorg.orphaned.length, reorg.hash, reorg.height)
+
+  const orphanedHashes = reorg.orphaned.map(block => block.hash)
+
+  database.invalidateBlocks(reorg.forkHeight, Math.max(reorg.height, reorg.previousHeight), orphanedHashes)
+    .then(count => {
+      Logger.info('[MONITOR] Purged %s cached entries affected by the reorganization', count)
+    })
+    .catch(error => {
+      Logger.error('[MONITOR] Could not purge cached entries affected by the reorganization: %s', error.toString())
+    })
+})
+
+/* Set up our routing table that decides which relay agent queue(s)
+   each type of message is sent to, and if configured, the daemons
+   we talk to directly when we can't get through to the relay agents */
+const relay = new RelayRouter(rabbit, {
+  defaultQueue: Config.queues.relayAgent,
+  routes: Config.queues.routes,
+  circuitBreaker: Config.circuitBreaker,
+  fallback: (Config.daemonFallback.enabled)
+    ? new DaemonRpc(Config.daemonFallback.endpoints, {
+      timeout: Config.daemonFallback.timeout,
+      retryInterval: Config.daemonFallback.retryInterval,
+      maxRetryInterval: Config.daemonFallback.maxRetryInterval
+    })
+    : false
+})
+
+relay.on('log', log => {
+  Logger.warning('[RELAY] %s', log)
+})
+
+/* Set up our JSON-RPC handler for daemon compatible clients */
+const jsonRpc = new JsonRpc(database, relay)
+
+/* Set up our health checks that report on the state of our dependencies */
+const health = new HealthCheck(database, rabbit, {
+  maxBlockAge: Config.status.maxBlockAge,
+  maxHeightLag: Config.status.maxHeightLag,
+  timeout: Config.status.checkTimeout,
+  relay: relay
+})
+
+/* Set up our validator that catches bad transactions before they go to the relay agent */
+const transactionValidator = new TransactionValidator(database, {
+  enabled: Config.transactionValidation.enabled,
+  supportedVersions: Config.transactionValidation.supportedVersions,
+  minimumFee: Config.transactionValidation.minimumFee,
+  maxSize: Config.transactionValidation.maxSize,
+  maxExtraSize: Config.transactionValidation.maxExtraSize,
+  nodeFee: {
+    address: Config.nodeFee.address,
+    amount: Config.nodeFee.amount,
+    privateViewKey: env.nodeFeePrivateViewKey
+  }
+})
+
+/* Keep track of the transactions that clients submit through us so that we
+   can tell them what happened to them later. These live alongside our cache
+   if we have one, otherwise in memory */
+const submissions = new SubmissionTracker(database.cache, {
+  ttl: Config.submissions.ttl,
+  maxLocalEntries: Config.submissions.maxLocalEntries,
+  salt: env.submissionSalt
+})
+
+function recordSubmission (req, hash, response) {
+  submissions.record(hash, Helpers.requestIp(req), response)
+    .catch(error => {
+      Logger.warning('[SUBMISSIONS] Could not record submission of transaction %s: %s', hash, error.toString())
+    })
+}
+
+/* The transaction pool doesn't tell us which key images its transactions
+   spend, so we remember them for the transactions that we relay ourselves */
+function recordPoolKeyImages (tx, hash) {
+  const keyImages = tx.inputs.filter(input => input.keyImage).map(input => input.keyImage)
+
+  database.recordPoolKeyImages(hash, keyImages)
+    .catch(error => {
+      Logger.warning('[SUBMISSIONS] Could not record key images of transaction %s: %s', hash, error.toString())
+    })
+}
+
+/* Keep any one client from hogging the database by giving each of them a
+   budget of requests that refills over time. The buckets live in Redis if we
+   have it so that the limits hold across all of our workers */
+const rateLimiter = new RateLimiter(database.cache, {
+  maxLocalEntries: Config.rateLimits.maxLocalEntries,
+  budgets: Config.rateLimits.budgets
+})
+
+if (Config.rateLimits.enabled && !database.cache) {
+  Logger.warning('[RATELIMIT] Redis is not enabled, rate limits will be tracked per worker')
+}
+
+/* Work out who our clients really are, believing only the proxies that we trust */
+const clientIp = new ClientIpResolver({
+  trustedProxies: Config.clientIp.trustedProxies,
+  useForwarded: Config.clientIp.useForwarded,
+  useCloudflare: Config.clientIp.useCloudflare
+})
+
+/* Set up the lists of address ranges that we block and those that we
+   trust enough to skip the rate limits */
+const accessList = new AccessList(database.cache, {
+  file: env.accessListFile,
+  refreshInterval: Config.accessList.refreshInterval,
+  blocked: Config.blacklistedIps.concat(Config.accessList.blocked),
+  allowed: Config.accessList.allowed
+})
+
+accessList.on('log', log => {
+  Logger.log('[ACCESS] %s', log)
+})
+
+accessList.on('error', error => {
+  Logger.warning('[ACCESS] %s', error.toString())
+})
+
+/* Set up the API keys that we hand out to partners that need more from us
+   than the public does. Everyone without a key gets the default tier */
+const apiKeys = new ApiKeys(database.cache, {
+  file: env.apiKeysFile,
+  refreshInterval: Config.apiKeys.refreshInterval,
+  defaultTier: Config.apiKeys.defaultTier,
+  tiers: Config.apiKeys.tiers,
+  restrictedRoutes: Config.apiKeys.restrictedRoutes,
+  keys: Config.apiKeys.keys
+})
+
+apiKeys.on('log', log => {
+  Logger.log('[APIKEYS] %s', log)
+})
+
+apiKeys.on('error', error => {
+  Logger.warning('[APIKEYS] %s', error.toString())
+})
+
+/* Re-read the access list and API key files when we are asked to */
+process.on('SIGHUP', () => {
+  Logger.log('[ACCESS] Received SIGHUP, reloading access lists and API keys')
+  accessList.reload()
+
+  if (Config.apiKeys.enabled) apiKeys.reload()
+})
+
+/* API key tiers set how many blocks a client may sync at once, otherwise
+   the database backend applies its own default */
+function syncMaxBlockCount (res) {
+  const tier = res.locals.tier
+
+  return (tier && tier.maxBlockCount) ? tier.maxBlockCount : undefined
+}
+
+function syncStreamingOptions (res) {
+  const tier = res.locals.tier
+
+  if (!tier || !tier.maxBlockCount) return Config.syncStreaming
+
+  return Object.assign({}, Config.syncStreaming, { maxBlockCount: tier.maxBlockCount })
+}
+
+/* When the circuit to the relay agents is open, we tell the client when to come
+   back instead of making them wait, otherwise they waited and nobody answered */
+function relayFailure (res, error) {
+  if (error && error.code === 'ECIRCUITOPEN') {
+    res.header('Retry-After', error.retryAfter)
+    return res.status(503).send()
+  }
+
+  return res.status(504).send()
+}
+
+/* Sends the message through the relay and stops waiting on the reply if
+   the client goes away before we have something to tell them */
+function relayRequest (res, type, payload, timeout) {
+  const request = relay.request(type, payload, timeout)
+
+  res.on('close', () => request.cancel())
+
+  return request
+}
+
 const app = Express()
 
+/* Everything that cares about the address of the client uses this one */
+app.use((req, res, next) => {
+  req.clientIp = clientIp.resolve(req)
+  next()
+})
+
+/* Give every request an ID that we hand back to the client and pass along to
+   anything we talk to on its behalf. Everything else happens within the
+   context of the request so that we can tell what it cost us */
+app.use((req, res, next) => {
+  const start = process.hrtime()
+
+  RequestContext.run(req, context => {
+    res.header('X-Request-Id', context.requestId)
+
+    if (Logger.json) {
+      var logged = false
+
+      const summary = () => {
+        if (logged) return
+        logged = true
+
+        Helpers.logHTTPSummary(req, res, context, process.hrtime(start))
+      }
+
+      res.on('finish', summary)
+      res.on('close', summary)
+    }
+
+    next()
+  })
+})
+
+/* Record the outcome and latency of every request for our metrics */
+app.use((req, res, next) => {
+  const start = process.hrtime()
+
+  res.on('finish', () => {
+    const route = (req.route) ? req.route.path : 'unmatched'
+    Metrics.observeHTTPRequest(req.method, route, res.statusCode, Metrics.toSeconds(process.hrtime(start)))
+  })
+
+  next()
+})
+
 app.use((req, res, next) => {
   const ip = Helpers.requestIp(req)
-  if (Config.blacklistedIps.indexOf(ip) !== -1) {
+
+  /* Anyone we trust gets through regardless of what else is listed */
+  if (accessList.allowed(ip)) {
+    res.locals.allowListed = true
+    return next()
+  }
+
+  const range = accessList.blocked(ip)
+  if (range) {
+    Metrics.observeBlockedRequest(range)
     return res.status(403).send()
   }
   next()
@@ -98,6 +386,11 @@ app.use(BodyParser.json())
 /* Catch body-parser errors */
 app.use((err, req, res, next) => {
   if (err instanceof SyntaxError) {
+    /* JSON-RPC clients expect to be told about parse errors in their own dialect */
+    if (req.path === '/json_rpc') {
+      return res.json(JsonRpc.errorResponse(null, JsonRpc.errors.PARSE_ERROR, 'Parse error'))
+    }
+
     return res.status(400).send()
   }
   next()
@@ -107,8 +400,9 @@ app.use((err, req, res, next) => {
 app.use((req, res, next) => {
   res.header('X-Requested-With', '*')
   res.header('Access-Control-Allow-Origin', Config.corsHeader)
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, User-Agent')
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, User-Agent, Authorization, X-API-Key, X-Request-Id')
   res.header('Access-Control-Allow-Methods', 'POST, GET, OPTIONS')
+  res.header('Access-Control-Expose-Headers', 'Retry-After, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, X-Request-Id')
   res.header('Cache-Control', 'max-age=30, public')
   res.header('Referrer-Policy', 'no-referrer')
   res.header('Content-Security-Policy', 'default-src \'none\'')
@@ -116,6 +410,76 @@ app.use((req, res, next) => {
   next()
 })
 
+/* Work out which tier the client belongs to and whether that tier lets them
+   use the route. Clients that don't send a key get the default tier, but
+   clients that send a key we don't know are told so */
+if (Config.apiKeys.enabled) {
+  app.use((req, res, next) => {
+    const key = ApiKeys.requestKey(req)
+
+    res.locals.apiKey = false
+    res.locals.tier = apiKeys.defaultTier
+
+    if (key) {
+      const apiKey = apiKeys.authenticate(key)
+
+      if (!apiKey) {
+        Helpers.logHTTPError(req, 'Invalid API key')
+        res.header('WWW-Authenticate', 'Bearer')
+        return res.status(401).send()
+      }
+
+      res.locals.apiKey = apiKey
+      res.locals.tier = apiKey.tier
+    }
+
+    if (!apiKeys.canAccess(res.locals.tier, req.method, req.path)) {
+      Helpers.logHTTPError(req, 'Route not available to tier ' + res.locals.tier.name)
+      return res.status(403).send()
+    }
+
+    if (res.locals.apiKey) {
+      Metrics.observeApiKeyRequest(res.locals.apiKey.name, res.locals.tier.name)
+
+      apiKeys.recordUsage(res.locals.apiKey.name)
+        .catch(error => Logger.warning('[APIKEYS] Could not record usage: %s', error.toString()))
+    }
+
+    next()
+  })
+}
+
+/* Charge the request against the client's budget for the route, if it has one.
+   Clients with an API key have their own budget no matter where they come from */
+if (Config.rateLimits.enabled) {
+  app.use((req, res, next) => {
+    const budget = rateLimiter.budgetFor(req.path, (res.locals.tier) ? res.locals.tier.rateLimits : false)
+
+    if (!budget || res.locals.allowListed) return next()
+
+    const client = (res.locals.apiKey) ? 'key:' + res.locals.apiKey.name : Helpers.requestIp(req)
+
+    rateLimiter.take(budget, client)
+      .then(result => {
+        res.header('RateLimit-Limit', result.limit)
+        res.header('RateLimit-Remaining', result.remaining)
+        res.header('RateLimit-Reset', result.reset)
+
+        if (result.allowed) return next()
+
+        Metrics.observeRateLimited(budget.name)
+
+        res.header('Retry-After', result.retryAfter)
+        return res.status(429).send()
+      })
+      .catch(error => {
+        /* If we can't tell how busy the client has been, we'd rather serve them than not */
+        Logger.warning('[RATELIMIT] Could not check rate limit: %s', error.toString())
+        return next()
+      })
+  })
+}
+
 /* Set up our system to use Helmet */
 app.use(Helmet())
 
@@ -267,6 +631,75 @@ app.get('/chain/stats', (req, res) => {
     })
 })
 
+/* Stream new blocks, chain reorganizations, and transaction pool changes
+   to the client as Server-Sent Events */
+app.get('/events', (req, res) => {
+  const lastEventId = req.header('last-event-id') || false
+
+  Helpers.logHTTPRequest(req)
+
+  res.status(200)
+  res.header('Content-Type', 'text/event-stream')
+  res.header('Cache-Control', 'no-cache')
+  res.header('Connection', 'keep-alive')
+  res.header('X-Accel-Buffering', 'no')
+  res.flushHeaders()
+
+  function send (message) {
+    res.write(message)
+
+    /* If compression is active, we need to push the data out ourselves */
+    if (res.flush) res.flush()
+  }
+
+  /* Anything that happens while we work out what the client missed is
+     held back so that it arrives after the blocks that we replay */
+  var held = []
+
+  const listener = event => {
+    if (held) return held.push(event)
+
+    send(Helpers.serverSentEvent(event))
+  }
+
+  monitor.on('event', listener)
+
+  /* If the client is resuming, replay the blocks they missed. If we can't
+     tell where they left off, or they are new, we start them off with the
+     current top block */
+  const missed = (lastEventId !== false) ? monitor.eventsSince(lastEventId) : Promise.resolve(false)
+
+  missed
+    .catch(error => {
+      Logger.warning('[EVENTS] Could not replay events since %s: %s', lastEventId, error.toString())
+      return false
+    })
+    .then(events => {
+      if (!events) {
+        events = (monitor.lastHeader) ? [{ id: monitor.lastEventId, type: 'block', data: monitor.lastHeader }] : []
+      }
+
+      events.forEach(event => send(Helpers.serverSentEvent(event)))
+
+      /* Blocks that we already replayed don't need to be sent twice */
+      const sent = events.map(event => event.id)
+      const pending = held
+      held = false
+
+      pending
+        .filter(event => event.type !== 'block' || sent.indexOf(event.id) === -1)
+        .forEach(event => send(Helpers.serverSentEvent(event)))
+    })
+
+  /* Keep intermediate proxies from closing an idle connection */
+  const keepAlive = setInterval(() => send(': keepalive\n\n'), Config.events.keepAliveInterval)
+
+  req.on('close', () => {
+    clearInterval(keepAlive)
+    monitor.removeListener('event', listener)
+  })
+})
+
 /* Submit a new block to the network */
 app.post('/block', (req, res) => {
   const start = process.hrtime()
@@ -278,23 +711,23 @@ app.post('/block', (req, res) => {
     return res.status(400).json({ message: message })
   }
 
-  rabbit.requestReply(Config.queues.relayAgent, {
+  relayRequest(res, 'block', {
     blockBlob: blockBlob
   }, 5000)
-    .then(response => {
+    .then(({ queue, response }) => {
       if (response.error) {
       /* Log and spit back the response */
-        Helpers.logHTTPError(req, JSON.stringify(req.body), process.hrtime(start))
+        Helpers.logHTTPError(req, util.format('[Q:%s] %s', queue, JSON.stringify(req.body)), process.hrtime(start))
         return res.status(400).json({ message: response.error })
       } else {
       /* Log and spit back the response */
-        Helpers.logHTTPRequest(req, JSON.stringify(req.body), process.hrtime(start))
+        Helpers.logHTTPRequest(req, util.format('[Q:%s] %s', queue, JSON.stringify(req.body)), process.hrtime(start))
         return res.send(201).send()
       }
     })
-    .catch(() => {
+    .catch(error => {
       Helpers.logHTTPError(req, 'Could not complete request with relay agent', process.hrtime(start))
-      return res.status(504).send()
+      return relayFailure(res, error)
     })
 })
 
@@ -454,18 +887,18 @@ app.post('/block/template', (req, res) => {
     return res.status(400).json({ message: error })
   }
 
-  rabbit.requestReply(Config.queues.relayAgent, {
+  relayRequest(res, 'blockTemplate', {
     walletAddress: address,
     reserveSize: reserveSize
   }, 5000)
-    .then(response => {
+    .then(({ queue, response }) => {
       if (response.error) {
         /* Log and spit back the response */
-        Helpers.logHTTPError(req, JSON.stringify(req.body), process.hrtime(start))
+        Helpers.logHTTPError(req, util.format('[Q:%s] %s', queue, JSON.stringify(req.body)), process.hrtime(start))
         return res.status(400).json({ message: response.error })
       } else {
         /* Log and spit back the response */
-        Helpers.logHTTPRequest(req, JSON.stringify(req.body), process.hrtime(start))
+        Helpers.logHTTPRequest(req, util.format('[Q:%s] %s', queue, JSON.stringify(req.body)), process.hrtime(start))
         return res.json({
           blocktemplate: response.blocktemplate_blob,
           difficulty: response.difficulty,
@@ -474,9 +907,9 @@ app.post('/block/template', (req, res) => {
         })
       }
     })
-    .catch(() => {
+    .catch(error => {
       Helpers.logHTTPError(req, 'Could not complete request with relay agent', process.hrtime(start))
-      return res.status(504).send()
+      return relayFailure(res, error)
     })
 })
 
@@ -648,6 +1081,62 @@ app.get('/transaction/:search/outputs', (req, res) => {
     })
 })
 
+/* Get the status of a transaction that was submitted through us */
+app.get('/transaction/:search/status', (req, res) => {
+  const start = process.hrtime()
+  const idx = req.params.search
+
+  /* We need to check to make sure that they sent us 64 hexadecimal characters */
+  if (!isHex(idx) || idx.length !== 64) {
+    Helpers.logHTTPError(req, 'Transaction hash supplied is not in a valid format', process.hrtime(start))
+    return res.status(400).send()
+  }
+
+  var submission
+
+  submissions.get(idx)
+    .then(record => {
+      submission = record
+
+      return database.getTransactionState(idx)
+    })
+    .then(state => {
+      /* If we've never heard of it at all, there's nothing to tell */
+      if (!state && !submission) {
+        Helpers.logHTTPRequest(req, process.hrtime(start))
+        return res.status(404).send()
+      }
+
+      const response = {
+        hash: idx,
+        status: (state) ? state.state : 'submitted',
+        submission: submission
+      }
+
+      if (state && state.block) {
+        response.block = state.block
+        response.confirmations = state.confirmations
+      }
+
+      /* If the relay agent turned it away, or it has been long enough that it
+         should have turned up in the pool, we consider the transaction dropped */
+      if (!state) {
+        const age = Math.floor(Date.now() / 1000) - submission.submittedAt
+
+        if (!submission.relay || !submission.relay.status || submission.relay.error || age > Config.submissions.dropAfter) {
+          response.status = 'dropped'
+        }
+      }
+
+      Helpers.logHTTPRequest(req, process.hrtime(start))
+      return res.json(response)
+    })
+    .catch(error => {
+      Helpers.logHTTPError(req, error, process.hrtime(start))
+      return res.status(500).send()
+    })
+})
+
 /* Get all transactions hashes that have the supplied payment ID */
 app.get('/transactions/:search', (req, res) => {
   const start = process.hrtime()
@@ -670,6 +1159,107 @@ app.get('/transactions/:search', (req, res) => {
     })
 })
 
+/* Get the spent status of the supplied key image */
+app.get('/keyImage/:keyImage', (req, res) => {
+  const start = process.hrtime()
+  const keyImage = req.params.keyImage
+
+  /* We need to check to make sure that they sent us 64 hexadecimal characters */
+  if (!isHex(keyImage) || keyImage.length !== 64) {
+    Helpers.logHTTPError(req, 'Key image supplied is not in a valid format', process.hrtime(start))
+    return res.status(400).send()
+  }
+
+  database.getKeyImagesStatus([keyImage])
+    .then(result => {
+      Helpers.logHTTPRequest(req, process.hrtime(start))
+
+      if (result.keyImagesInBlock.length !== 0) {
+        return res.json({
+          keyImage: keyImage,
+          status: 'block',
+          hash: result.keyImagesInBlock[0].hash,
+          height: result.keyImagesInBlock[0].height
+        })
+      } else if (result.keyImagesInPool.length !== 0) {
+        return res.json({
+          keyImage: keyImage,
+          status: 'pool',
+          hash: result.keyImagesInPool[0].hash
+        })
+      } else {
+        return res.json({
+          keyImage: keyImage,
+          status: 'unknown'
+        })
+      }
+    })
+    .catch(error => {
+      Helpers.logHTTPError(req, error, process.hrtime(start))
+      return res.status(500).send()
+    })
+})
+
+/* Get the spent status of many key images at once */
+app.post('/keyImages/status', (req, res) => {
+  const start = process.hrtime()
+  const keyImages = req.body.keyImages || []
+
+  /* If it's not an array, or it's empty, then we didn't follow the directions */
+  if (!Array.isArray(keyImages) || keyImages.length === 0) {
+    Helpers.logHTTPError(req, 'Must supply an array of keyImages', process.hrtime(start))
+    return res.status(400).send()
+  }
+
+  for (var i = 0; i < keyImages.length; i++) {
+    if (typeof keyImages[i] !== 'string' || keyImages[i].length !== 64 || !isHex(keyImages[i])) {
+      Helpers.logHTTPError(req, 'Key image supplied is not in a valid format', process.hrtime(start))
+      return res.status(400).send()
+    }
+  }
+
+  database.getKeyImagesStatus(keyImages)
+    .then(result => {
+      req.body.keyImages = keyImages.length
+      Helpers.logHTTPRequest(req, JSON.stringify(req.body), process.hrtime(start))
+      return res.json(result)
+    })
+    .catch(error => {
+      Helpers.logHTTPError(req, error, process.hrtime(start))
+      return res.status(500).send()
+    })
+})
+
+/* Work out what the supplied term is (block height, block hash, transaction
+   hash, payment ID, or key image) and return the matching result */
+app.get('/search/:term', (req, res) => {
+  const start = process.hrtime()
+  var term = req.params.term
+
+  /* If it's not a number, then it must be 64 hexadecimal characters */
+  if (Helpers.toNumber(term) !== false) {
+    term = Helpers.toNumber(term)
+  } else if (!isHex(term) || term.length !== 64) {
+    Helpers.logHTTPError(req, 'Search term supplied is not in a valid format', process.hrtime(start))
+    return res.status(400).send()
+  }
+
+  database.search(term)
+    .then(result => {
+      if (!result) {
+        Helpers.logHTTPError(req, 'No results found', process.hrtime(start))
+        return res.status(404).send()
+      }
+
+      Helpers.logHTTPRequest(req, result.type, process.hrtime(start))
+      return res.json(result)
+    })
+    .catch(error => {
+      Helpers.logHTTPError(req, error, process.hrtime(start))
+      return res.status(500).send()
+    })
+})
+
 app.get('/amounts', (req, res) => {
   const start = process.hrtime()
   database.getMixableAmounts(Config.defaultMixins)
@@ -688,6 +1278,7 @@ app.post('/randomOutputs', (req, res) => {
   const start = process.hrtime()
   const amounts = req.body.amounts || []
   const mixin = Helpers.toNumber(req.body.mixin) || Config.defaultMixins
+  const selectionMode = req.body.selection || Config.decoySelection.mode
 
   /* If it's not an array then we didn't follow the directions */
   if (!Array.isArray(amounts)) {
@@ -695,6 +1286,12 @@ app.post('/randomOutputs', (req, res) => {
     return res.status(400).send()
   }
 
+  /* We only know how to select outputs uniformly or by their age */
+  if (selectionMode !== 'uniform' && selectionMode !== 'gamma') {
+    Helpers.logHTTPError(req, 'Unsupported output selection mode', process.hrtime(start))
+    return res.status(400).send()
+  }
+
   /* Check to make sure that we were passed numbers
      for each value in the array */
   for (var i = 0; i < amounts.length; i++) {
@@ -707,13 +1304,24 @@ app.post('/randomOutputs', (req, res) => {
   }
 
   /* Go and try to get our random outputs */
-  database.getRandomOutputsForAmounts(amounts, mixin)
+  database.getRandomOutputsForAmounts(amounts, mixin, {
+    mode: selectionMode,
+    coinbaseMaturity: Config.coinbaseMaturity,
+    shape: Config.decoySelection.gammaShape,
+    scale: Config.decoySelection.gammaScale
+  })
     .then(randomOutputs => {
       Helpers.logHTTPRequest(req, JSON.stringify(req.body), process.hrtime(start))
       return res.json(randomOutputs)
     })
     .catch(error => {
       Helpers.logHTTPError(req, error, process.hrtime(start))
+
+      /* Let the wallet know which amount it cannot build a transaction for */
+      if (error.code === 'INSUFFICIENT_OUTPUTS') {
+        return res.status(409).json({ message: error.message })
+      }
+
       return res.status(500).send()
     })
 })
@@ -725,6 +1333,8 @@ app.post('/sync', (req, res) => {
   const lastKnownBlockHashes = req.body.lastKnownBlockHashes || []
   const blockCount = Helpers.toNumber(req.body.blockCount) || 100
   const scanHeight = Helpers.toNumber(req.body.scanHeight)
+  const includeForkInfo = (req.body.includeForkInfo === true)
+  const searchHashes = []
 
   /* If it's not an array then we didn't follow the directions */
   if (!Array.isArray(lastKnownBlockHashes) && !scanHeight) {
@@ -733,7 +1343,6 @@ app.post('/sync', (req, res) => {
   }
 
   if (!scanHeight) {
-    var searchHashes = []
     /* We need to loop through these and validate that we were
        given valid data to search through and not data that does
        not make any sense */
@@ -752,21 +1361,66 @@ app.post('/sync', (req, res) => {
       return res.status(400).send()
     }
 
-    database.getWalletSyncData(searchHashes, blockCount)
-      .then(outputs => {
-        req.body.lastKnownBlockHashes = req.body.lastKnownBlockHashes.length
+    req.body.lastKnownBlockHashes = req.body.lastKnownBlockHashes.length
+  }
+
+  /* If the client asked for a stream, we send each block as soon as it
+     is built and finish up with a trailer that tells them where they stand */
+  if (Helpers.acceptsNDJSON(req)) {
+    const writer = Helpers.ndjsonWriter(res)
+    const onBlock = block => { return writer.write(block) }
+
+    const stream = (scanHeight)
+      ? database.streamWalletSyncDataByHeight(scanHeight, blockCount, onBlock, syncStreamingOptions(res))
+      : database.streamWalletSyncData(searchHashes, blockCount, onBlock, syncStreamingOptions(res))
+
+    return stream
+      .then(result => {
+        req.body.streamed = result.count
+        Helpers.logHTTPRequest(req, JSON.stringify(req.body), process.hrtime(start))
+        return writer.end({
+          status: 'OK',
+          synced: result.synced,
+          topBlock: {
+            height: result.topBlock.height,
+            hash: result.topBlock.hash
+          },
+          fork: result.fork || false
+        })
+      })
+      .catch(error => {
+        Helpers.logHTTPError(req, error, process.hrtime(start))
+        if (!writer.started) return res.status(404).send()
+        return writer.end({ status: 'error', message: 'Could not complete the sync data stream' })
+      })
+  }
+
+  if (!scanHeight) {
+    /* Only go looking for the fork point if the client is going to see it */
+    Promise.all([
+      database.getWalletSyncData(searchHashes, blockCount, syncMaxBlockCount(res)),
+      (includeForkInfo) ? database.findForkPoint(searchHashes) : Promise.resolve(false)
+    ])
+      .then(([outputs, fork]) => {
         Helpers.logHTTPRequest(req, JSON.stringify(req.body), process.hrtime(start))
-        return res.json(outputs)
+
+        /* The plain array stays the default so that we don't break older wallets */
+        if (includeForkInfo) return MessagePack.send(req, res, { blocks: outputs, fork: fork })
+
+        return MessagePack.send(req, res, outputs)
       })
       .catch(error => {
         Helpers.logHTTPError(req, error, process.hrtime(start))
         return res.status(404).send()
       })
   } else {
-    database.getWalletSyncDataByHeight(scanHeight, blockCount)
+    database.getWalletSyncDataByHeight(scanHeight, blockCount, syncMaxBlockCount(res))
       .then(outputs => {
         Helpers.logHTTPRequest(req, JSON.stringify(req.body), process.hrtime(start))
-        return res.json(outputs)
+
+        if (includeForkInfo) return MessagePack.send(req, res, { blocks: outputs, fork: false })
+
+        return MessagePack.send(req, res, outputs)
       })
       .catch(error => {
         Helpers.logHTTPError(req, error, process.hrtime(start))
@@ -798,28 +1452,90 @@ app.post('/transaction', (req, res) => {
   const txHash = tx.hash
   const txBlob = tx.blob
 
-  rabbit.requestReply(Config.queues.relayAgent, {
-    rawTransaction: txBlob,
-    hash: txHash
-  }, 9000)
-    .then(response => {
-      /* Log and spit back the response */
-      Helpers.logHTTPRequest(req, util.format('[%s] [I:%s] [O:%s] [A:%s] [F:%s] [%s] %s', txHash, tx.inputs.length, tx.outputs.length, tx.amount || 'N/A', tx.fee || 'N/A', (response.status) ? response.status.yellow : 'Error'.red, response.error.red), process.hrtime(start))
-
-      if (response.status) {
-        return res.json(response)
-      } else {
-        return res.status(504).send()
-      }
+  /* Check the transaction against what we already know before we bother the
+     relay agent with it. If we can't check it, we let the daemon be the judge */
+  transactionValidator.validate(tx)
+    .catch(error => {
+      Logger.warning('[VALIDATOR] [%s] Could not validate transaction %s, relaying it anyway: %s', res.get('X-Request-Id'), txHash, error.toString())
+      return false
     })
-    .catch(() => {
-      Helpers.logHTTPError(req, 'Could not complete request with relay agent', process.hrtime(start))
-      return res.status(504).send()
+    .then(problem => {
+      if (problem) {
+        Helpers.logHTTPError(req, util.format('[%s] %s: %s', txHash, problem.code, problem.message), process.hrtime(start))
+        return res.status(400).json({ status: 'Failed', code: problem.code, error: problem.message })
+      }
+
+      return relayRequest(res, 'transaction', {
+        rawTransaction: txBlob,
+        hash: txHash
+      }, 9000)
+        /* Only a failure of the relay itself means that we don't know what
+           happened to the transaction, so that's all that we handle here */
+        .then(({ queue, response }) => {
+          recordSubmission(req, txHash, response)
+
+          if (response.status === 'OK') recordPoolKeyImages(tx, txHash)
+
+          /* Log and spit back the response */
+          Helpers.logHTTPRequest(req, util.format('[%s] [I:%s] [O:%s] [A:%s] [F:%s] [Q:%s] [%s] %s', txHash, tx.inputs.length, tx.outputs.length, tx.amount || 'N/A', tx.fee || 'N/A', queue, (response.status) ? response.status.yellow : 'Error'.red, (response.error || '').red), process.hrtime(start))
+
+          if (response.status) {
+            return res.json(response)
+          } else {
+            return res.status(504).send()
+          }
+        }, error => {
+          /* If we never sent it anywhere, there's nothing to keep track of */
+          if (error.code !== 'ECIRCUITOPEN') recordSubmission(req, txHash, false)
+
+          Helpers.logHTTPError(req, 'Could not complete request with relay agent', process.hrtime(start))
+          return relayFailure(res, error)
+        })
     })
 })
 
 /* Legacy daemon API calls provided for limited support */
 
+/* Provides the standard daemon JSON-RPC interface, including batches */
+app.post('/json_rpc', (req, res) => {
+  const start = process.hrtime()
+  const isBatch = Array.isArray(req.body)
+  const requests = (isBatch) ? req.body : [req.body]
+
+  if (isBatch && requests.length === 0) {
+    Helpers.logHTTPError(req, 'Empty JSON-RPC batch', process.hrtime(start))
+    return res.json(JsonRpc.errorResponse(null, JsonRpc.errors.INVALID_REQUEST, 'Invalid Request'))
+  }
+
+  /* The methods that stand in for our restricted routes are held to the same rules */
+  const canCall = (method) => {
+    const route = JsonRpc.methodRoutes[method]
+
+    if (!Config.apiKeys.enabled || !route) return true
+
+    return apiKeys.canAccess(res.locals.tier, route.method, route.path)
+  }
+
+  Promise.all(requests.map(request => jsonRpc.handle(request, canCall)))
+    .then(responses => {
+      const methods = requests.map(request => (request && request.method) || 'invalid')
+      Helpers.logHTTPRequest(req, JSON.stringify(methods), process.hrtime(start))
+
+      /* Notifications do not receive responses */
+      responses = responses.filter(response => response !== false)
+
+      if (responses.length === 0) {
+        return res.status(204).send()
+      }
+
+      return res.json((isBatch) ? responses : responses[0])
+    })
+    .catch(error => {
+      Helpers.logHTTPError(req, error, process.hrtime(start))
+      return res.status(500).send()
+    })
+})
+
 app.get('/fee', (req, res) => {
   const start = process.hrtime()
 
@@ -875,7 +1591,8 @@ app.post('/getwalletsyncdata/preflight', (req, res) => {
           blockCount: response.blockCount,
           blockHashes: response.blockHashes,
           status: 'OK',
-          synced: false
+          synced: false,
+          fork: response.fork
         })
       } else {
         return res.json({
@@ -887,7 +1604,8 @@ app.post('/getwalletsyncdata/preflight', (req, res) => {
           topBlock: {
             height: response.topBlock.height,
             hash: response.topBlock.hash
-          }
+          },
+          fork: response.fork
         })
       }
     })
@@ -919,7 +1637,36 @@ app.post('/getwalletsyncdata', (req, res) => {
     return res.status(400).send()
   }
 
-  database.legacyGetWalletSyncData(startHeight, startTimestamp, blockHashCheckpoints, blockCount, skipCoinbaseTransactions)
+  /* If the client asked for a stream, we send each block as soon as it
+     is built and finish up with a trailer that tells them where they stand */
+  if (Helpers.acceptsNDJSON(req)) {
+    const writer = Helpers.ndjsonWriter(res)
+
+    return database.legacyStreamWalletSyncData(startHeight, startTimestamp, blockHashCheckpoints, blockCount,
+      skipCoinbaseTransactions, block => { return writer.write(block) }, syncStreamingOptions(res))
+      .then(result => {
+        req.body.blockHashCheckpoints = blockHashCheckpoints.length
+        req.body.from = result.from
+        req.body.streamed = result.count
+        Helpers.logHTTPRequest(req, JSON.stringify(req.body), process.hrtime(start))
+        return writer.end({
+          status: 'OK',
+          synced: result.synced,
+          topBlock: {
+            height: result.topBlock.height,
+            hash: result.topBlock.hash
+          },
+          fork: result.fork || false
+        })
+      })
+      .catch(error => {
+        Helpers.logHTTPError(req, error, process.hrtime(start))
+        if (!writer.started) return res.status(500).send()
+        return writer.end({ status: 'error', message: 'Could not complete the sync data stream' })
+      })
+  }
+
+  database.legacyGetWalletSyncData(startHeight, startTimestamp, blockHashCheckpoints, blockCount, skipCoinbaseTransactions, syncMaxBlockCount(res))
     .then(response => {
       req.body.blockHashCheckpoints = blockHashCheckpoints.length
       req.body.from = response.from || 0
@@ -933,21 +1680,23 @@ app.post('/getwalletsyncdata', (req, res) => {
 
       if (response.blocks.length !== 0) {
         Helpers.logHTTPRequest(req, JSON.stringify(req.body), process.hrtime(start))
-        return res.json({
+        return MessagePack.send(req, res, {
           items: response.blocks,
           status: 'OK',
-          synced: false
+          synced: false,
+          fork: response.fork
         })
       } else {
         Helpers.logHTTPRequest(req, JSON.stringify(req.body), process.hrtime(start))
-        return res.json({
+        return MessagePack.send(req, res, {
           items: response.blocks,
           status: 'OK',
           synced: true,
           topBlock: {
             height: response.topBlock.height,
             hash: response.topBlock.hash
-          }
+          },
+          fork: response.fork
         })
       }
     })
@@ -962,10 +1711,10 @@ app.get('/getwalletsyncdata/:height/:count', (req, res) => {
   const startHeight = Helpers.toNumber(req.params.height)
   const blockCount = Helpers.toNumber(req.params.count) || 100
 
-  database.legacyGetWalletSyncDataLite(startHeight, blockCount)
+  database.legacyGetWalletSyncDataLite(startHeight, blockCount, syncMaxBlockCount(res))
     .then(results => {
       Helpers.logHTTPRequest(req, process.hrtime(start))
-      return res.json({ items: results, status: 'OK' })
+      return MessagePack.send(req, res, { items: results, status: 'OK' })
     })
     .catch(error => {
       Helpers.logHTTPError(req, error, process.hrtime(start))
@@ -978,10 +1727,10 @@ app.get('/getwalletsyncdata/:height', (req, res) => {
   const startHeight = Helpers.toNumber(req.params.height)
   const blockCount = Helpers.toNumber(req.params.count) || 100
 
-  database.legacyGetWalletSyncDataLite(startHeight, blockCount)
+  database.legacyGetWalletSyncDataLite(startHeight, blockCount, syncMaxBlockCount(res))
     .then(results => {
       Helpers.logHTTPRequest(req, process.hrtime(start))
-      return res.json({ items: results, status: 'OK' })
+      return MessagePack.send(req, res, { items: results, status: 'OK' })
     })
     .catch(error => {
       Helpers.logHTTPError(req, error, process.hrtime(start))
@@ -1034,23 +1783,46 @@ app.post('/sendrawtransaction', (req, res) => {
   const txHash = tx.hash
   const txBlob = tx.blob
 
-  rabbit.requestReply(Config.queues.relayAgent, {
-    rawTransaction: txBlob,
-    hash: txHash
-  }, 9000)
-    .then(response => {
-      /* Log and spit back the response */
-      Helpers.logHTTPRequest(req, util.format('[%s] [I:%s] [O:%s] [A:%s] [F:%s] [%s] %s', txHash, tx.inputs.length, tx.outputs.length, tx.amount || 'N/A', tx.fee || 'N/A', (response.status) ? response.status.yellow : 'Error'.red, response.error.red), process.hrtime(start))
-
-      if (response.status) {
-        return res.json(response)
-      } else {
-        return res.status(504).send()
-      }
+  /* Check the transaction against what we already know before we bother the
+     relay agent with it. If we can't check it, we let the daemon be the judge */
+  transactionValidator.validate(tx)
+    .catch(error => {
+      Logger.warning('[VALIDATOR] [%s] Could not validate transaction %s, relaying it anyway: %s', res.get('X-Request-Id'), txHash, error.toString())
+      return false
     })
-    .catch(() => {
-      Helpers.logHTTPError(req, 'Could not complete request with relay agent', process.hrtime(start))
-      return res.status(504).send()
+    .then(problem => {
+      if (problem) {
+        Helpers.logHTTPError(req, util.format('[%s] %s: %s', txHash, problem.code, problem.message), process.hrtime(start))
+        /* Daemon API clients look at the status in the body, not the HTTP status */
+        return res.json({ status: 'Failed', code: problem.code, error: problem.message })
+      }
+
+      return relayRequest(res, 'transaction', {
+        rawTransaction: txBlob,
+        hash: txHash
+      }, 9000)
+        /* Only a failure of the relay itself means that we don't know what
+           happened to the transaction, so that's all that we handle here */
+        .then(({ queue, response }) => {
+          recordSubmission(req, txHash, response)
+
+          if (response.status === 'OK') recordPoolKeyImages(tx, txHash)
+
+          /* Log and spit back the response */
+          Helpers.logHTTPRequest(req, util.format('[%s] [I:%s] [O:%s] [A:%s] [F:%s] [Q:%s] [%s] %s', txHash, tx.inputs.length, tx.outputs.length, tx.amount || 'N/A', tx.fee || 'N/A', queue, (response.status) ? response.status.yellow : 'Error'.red, (response.error || '').red), process.hrtime(start))
+
+          if (response.status) {
+            return res.json(response)
+          } else {
+            return res.status(504).send()
+          }
+        }, error => {
+          /* If we never sent it anywhere, there's nothing to keep track of */
+          if (error.code !== 'ECIRCUITOPEN') recordSubmission(req, txHash, false)
+
+          Helpers.logHTTPError(req, 'Could not complete request with relay agent', process.hrtime(start))
+          return relayFailure(res, error)
+        })
     })
 })
 
@@ -1094,11 +1866,89 @@ app.get('/reward/next', (req, res) => {
     })
 })
 
-/* Basic status response via GET that responds to basic monitoring requests */
+/* Status response via GET that reports on each of our dependencies
+   and the freshness of the chain data that we are serving */
 app.get('/status', (req, res) => {
+  health.run()
+    .then(report => {
+      res.header('Cache-Control', 'no-cache')
+      return res.status((report.status === 'ok') ? 200 : 503).json(report)
+    })
+    .catch(error => healthFailure(res, error))
+})
+
+/* Readiness response that indicates whether we can serve requests. If we
+   can send things straight to the daemons, we can do without RabbitMQ */
+app.get('/status/ready', (req, res) => {
+  health.run((relay.fallback) ? ['database', 'redis'] : ['database', 'redis', 'rabbit'])
+    .then(report => {
+      res.header('Cache-Control', 'no-cache')
+      return res.status((report.status === 'ok') ? 200 : 503).json(report)
+    })
+    .catch(error => healthFailure(res, error))
+})
+
+function healthFailure (res, error) {
+  Logger.error('[STATUS] Could not run health checks: %s', error.toString())
+  res.header('Cache-Control', 'no-cache')
+  return res.status(503).json({ status: 'error', checks: {} })
+}
+
+/* Liveness response that indicates that the process is responding */
+app.get('/status/live', (req, res) => {
+  res.header('Cache-Control', 'no-cache')
   return res.json({ status: 'ok' })
 })
 
+/* Exposes our metrics in the Prometheus text format. They say more about
+   our clients and setup than the public needs to know, so only the
+   addresses on our allow list get to see them */
+if (env.useMetrics) {
+  app.get('/metrics', (req, res) => {
+    if (!res.locals.allowListed) return res.status(403).send()
+
+    Metrics.setChainState(monitor.lastHeader, (monitor.poolHashes) ? monitor.poolHashes.length : false)
+
+    res.header('Content-Type', Metrics.contentType)
+    res.header('Cache-Control', 'no-cache')
+    return res.send(Metrics.metrics())
+  })
+}
+
+/* Lets partners see which tier their API key belongs to and how
+   much they have used it today */
+if (Config.apiKeys.enabled) {
+  app.get('/apikey', (req, res) => {
+    const start = process.hrtime()
+
+    if (!res.locals.apiKey) {
+      Helpers.logHTTPError(req, 'No API key supplied', process.hrtime(start))
+      res.header('WWW-Authenticate', 'Bearer')
+      return res.status(401).send()
+    }
+
+    const apiKey = res.locals.apiKey
+
+    apiKeys.usage(apiKey.name)
+      .then(usage => {
+        Helpers.logHTTPRequest(req, process.hrtime(start))
+
+        res.header('Cache-Control', 'no-cache')
+        return res.json({
+          name: apiKey.name,
+          tier: apiKey.tier.name,
+          maxBlockCount: apiKey.tier.maxBlockCount,
+          rateLimits: apiKey.tier.rateLimits,
+          usage: usage
+        })
+      })
+      .catch(error => {
+        Helpers.logHTTPError(req, error, process.hrtime(start))
+        return res.status(500).send()
+      })
+  })
+}
+
 /* These API methods are only available if we have been
    configured as having access to node monitor data in the
    same database */
@@ -1483,13 +2333,29 @@ app.all('*', (req, res) => {
   return res.status(404).send()
 })
 
-rabbit.connect()
-  .then(() => {
-    app.listen(Config.httpPort, Config.bindIp, () => {
-      Logger.log('[HTTP] Server started on %s:%s', Config.bindIp, Config.httpPort)
-    })
+function start () {
+  app.listen(Config.httpPort, Config.bindIp, () => {
+    Logger.log('[HTTP] Server started on %s:%s', Config.bindIp, Config.httpPort)
   })
+
+  monitor.start()
+
+  accessList.start()
+
+  if (Config.apiKeys.enabled) apiKeys.start()
+}
+
+rabbit.connect()
+  .then(() => start())
   .catch(error => {
+    /* If we can talk to the daemons directly, we can still do our job
+       while we keep trying to reach the RabbitMQ server in the background */
+    if (relay.fallback) {
+      Logger.warning('[RABBIT] Could not connect to server, relying on the daemon fallback: %s', error.toString())
+      rabbit.reconnect()
+      return start()
+    }
+
     Logger.error(error.toString())
     process.exit(1)
   })
@@ -0,0 +1,204 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const AddressRange = require('./addressRange')
+const EventEmitter = require('events').EventEmitter
+const fs = require('fs')
+
+const CACHE_NAME = 'accessList'
+
+/* Keeps track of the address ranges that we block outright and the ones
+   that we trust enough to skip the rate limits. The lists come from our
+   config, a file that we (re)read on demand, and Redis, which is how every
+   worker ends up with the same lists */
+class AccessList extends EventEmitter {
+  constructor (cache, opts) {
+    super()
+
+    opts = opts || {}
+
+    this.cache = cache || false
+    this.file = opts.file || false
+    this.refreshInterval = opts.refreshInterval || 30000
+
+    /* The entries from our config are always in effect */
+    this.static = {
+      blocked: this.parseEntries(opts.blocked || []),
+      allowed: this.parseEntries(opts.allowed || [])
+    }
+
+    this.dynamic = {
+      blocked: [],
+      allowed: [],
+      updated: 0
+    }
+
+    /* What the file said the last time that we read it */
+    this.fileContents = false
+  }
+
+  start () {
+    if (this.timer) return
+
+    /* Without Redis to share changes through, we keep going back to the
+       file. If we can't read it, we say so and try again next time */
+    if (this.cache) {
+      this.timer = setInterval(() => this.refresh(), this.refreshInterval)
+    } else if (this.file) {
+      this.timer = setInterval(() => this.reload(), this.refreshInterval)
+    }
+
+    return this.reload()
+  }
+
+  stop () {
+    if (!this.timer) return
+
+    clearInterval(this.timer)
+    this.timer = null
+  }
+
+  /* Reads the lists from our file and, if we have Redis, shares them with
+     the other workers. Without a file we pick up whatever Redis has. We only
+     touch the lists, ours or the shared ones, if the file has changed */
+  reload () {
+    if (!this.file) return this.refresh()
+
+    return readLists(this.file)
+      .then(lists => {
+        const contents = listContents(lists)
+
+        if (contents === this.fileContents) return
+
+        this.fileContents = contents
+
+        if (!this.cache) return this.share(lists)
+
+        return this.cache.get(CACHE_NAME)
+          .then(shared => {
+            /* Another worker already shared what the file says */
+            if (shared && listContents(shared) === contents) {
+              if (shared.updated !== this.dynamic.updated) this.apply(shared)
+
+              return
+            }
+
+            return this.share(lists)
+          })
+      })
+      .catch(error => this.emit('error', error))
+  }
+
+  share (lists) {
+    lists.updated = Date.now()
+
+    this.apply(lists)
+
+    if (!this.cache) return
+
+    /* Not being able to share them doesn't stop us from using them */
+    return this.cache.setNoExpire(CACHE_NAME, lists)
+      .catch(error => this.emit('error', error))
+  }
+
+  /* Picks up the lists from Redis if someone has changed them */
+  refresh () {
+    if (!this.cache) return Promise.resolve()
+
+    return this.cache.get(CACHE_NAME)
+      .then(lists => {
+        if (!lists || lists.updated === this.dynamic.updated) return
+
+        this.apply(lists)
+      })
+      .catch(error => this.emit('error', error))
+  }
+
+  apply (lists) {
+    this.dynamic = {
+      blocked: this.parseEntries(lists.blocked || []),
+      allowed: this.parseEntries(lists.allowed || []),
+      updated: lists.updated || 0
+    }
+
+    this.emit('log', 'Loaded ' + this.dynamic.blocked.length + ' blocked and ' + this.dynamic.allowed.length + ' allowed range(s)')
+  }
+
+  /* Entries are either a range, or an object with the range and
+     when (in seconds since the epoch or as a date) it expires */
+  parseEntries (entries) {
+    const result = []
+
+    entries.forEach(entry => {
+      if (typeof entry === 'string') entry = { range: entry }
+
+      const range = AddressRange.parse(entry.range)
+
+      if (!range) return this.emit('log', 'Ignoring invalid address range: ' + entry.range)
+
+      if (entry.expires) {
+        range.expires = (typeof entry.expires === 'number') ? entry.expires * 1000 : Date.parse(entry.expires)
+
+        if (isNaN(range.expires)) return this.emit('log', 'Ignoring address range with invalid expiry: ' + entry.range)
+      }
+
+      result.push(range)
+    })
+
+    return result
+  }
+
+  /* Returns the blocked range that the address falls in, if any */
+  blocked (ip) {
+    return this.match(ip, this.static.blocked.concat(this.dynamic.blocked))
+  }
+
+  /* Returns the allowed range that the address falls in, if any */
+  allowed (ip) {
+    return this.match(ip, this.static.allowed.concat(this.dynamic.allowed))
+  }
+
+  match (ip, ranges) {
+    const address = AddressRange.parseAddress(ip)
+
+    if (!address) return false
+
+    const now = Date.now()
+
+    for (var i = 0; i < ranges.length; i++) {
+      const range = ranges[i]
+
+      if (range.expires && range.expires <= now) continue
+
+      if (AddressRange.contains(range, address)) return range.range
+    }
+
+    return false
+  }
+}
+
+function listContents (lists) {
+  return JSON.stringify({
+    blocked: lists.blocked || [],
+    allowed: lists.allowed || []
+  })
+}
+
+function readLists (file) {
+  return new Promise((resolve, reject) => {
+    fs.readFile(file, (err, data) => {
+      if (err) return reject(err)
+
+      try {
+        return resolve(JSON.parse(data.toString()))
+      } catch (e) {
+        return reject(new Error('Could not parse access list file ' + file))
+      }
+    })
+  })
+}
+
+module.exports = AccessList
@@ -0,0 +1,97 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const net = require('net')
+
+class AddressRange {
+  /* Turns the address into 16 bytes. IPv4 addresses become IPv4-mapped
+     IPv6 addresses so that we can treat everything the same way */
+  static parseAddress (ip) {
+    if (typeof ip !== 'string') return false
+
+    ip = ip.replace(/^\[|\]$/g, '').split('%')[0]
+
+    if (net.isIPv4(ip)) {
+      return [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0xff].concat(ip.split('.').map(octet => parseInt(octet, 10)))
+    }
+
+    if (!net.isIPv6(ip)) return false
+
+    /* A trailing IPv4 address stands in for the last two groups */
+    const dotted = ip.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/)
+
+    if (dotted) {
+      const octets = dotted[2].split('.').map(octet => parseInt(octet, 10))
+      ip = dotted[1] + ((octets[0] << 8) | octets[1]).toString(16) + ':' + ((octets[2] << 8) | octets[3]).toString(16)
+    }
+
+    const halves = ip.split('::')
+    const head = (halves[0]) ? halves[0].split(':') : []
+    const tail = (halves.length > 1 && halves[1]) ? halves[1].split(':') : []
+
+    const groups = head.concat(new Array(8 - head.length - tail.length).fill('0'), tail)
+
+    const bytes = []
+
+    groups.forEach(group => {
+      const value = parseInt(group, 16)
+      bytes.push(value >> 8, value & 0xff)
+    })
+
+    return bytes
+  }
+
+  /* Parses an address or an address range in CIDR notation */
+  static parse (range) {
+    if (typeof range !== 'string') return false
+
+    const parts = range.trim().split('/')
+
+    if (parts.length > 2) return false
+
+    const bytes = AddressRange.parseAddress(parts[0])
+
+    if (!bytes) return false
+
+    const ipv4 = net.isIPv4(parts[0])
+    const maxPrefix = (ipv4) ? 32 : 128
+
+    var prefix = maxPrefix
+
+    if (parts.length === 2) {
+      if (!/^\d+$/.test(parts[1])) return false
+
+      prefix = parseInt(parts[1], 10)
+
+      if (prefix > maxPrefix) return false
+    }
+
+    return {
+      range: range.trim(),
+      bytes: bytes,
+      prefix: (ipv4) ? prefix + 96 : prefix
+    }
+  }
+
+  /* Returns true if the parsed address falls within the parsed range */
+  static contains (range, address) {
+    const whole = Math.floor(range.prefix / 8)
+
+    for (var i = 0; i < whole; i++) {
+      if (range.bytes[i] !== address[i]) return false
+    }
+
+    const bits = range.prefix % 8
+
+    if (bits === 0) return true
+
+    const mask = (0xff << (8 - bits)) & 0xff
+
+    return (range.bytes[whole] & mask) === (address[whole] & mask)
+  }
+}
+
+module.exports = AddressRange
@@ -0,0 +1,249 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Crypto = require('crypto')
+const EventEmitter = require('events').EventEmitter
+const fs = require('fs')
+
+const CACHE_NAME = 'apiKeys'
+
+/* We keep a couple of days worth of usage so that yesterday's count is
+   still around for a while after midnight */
+const USAGE_TTL = 60 * 60 * 24 * 2
+
+/* Maps the API keys handed out to our partners to the tier of service that
+   they get. Like the access lists, the keys come from our config, a file
+   that we (re)read on demand, and Redis so that every worker knows them */
+class ApiKeys extends EventEmitter {
+  constructor (cache, opts) {
+    super()
+
+    opts = opts || {}
+
+    this.cache = cache || false
+    this.file = opts.file || false
+    this.refreshInterval = opts.refreshInterval || 30000
+    this.restrictedRoutes = opts.restrictedRoutes || []
+    this.tiers = {}
+
+    const tiers = opts.tiers || {}
+
+    Object.keys(tiers).forEach(name => {
+      const tier = tiers[name]
+
+      this.tiers[name] = {
+        name: name,
+        routes: tier.routes || ['*'],
+        rateLimits: tier.rateLimits || {},
+        maxBlockCount: tier.maxBlockCount || false
+      }
+    })
+
+    if (!this.tiers[opts.defaultTier]) throw new Error('Must supply a default tier that exists')
+
+    this.defaultTier = this.tiers[opts.defaultTier]
+
+    /* The keys from our config are always in effect, we parse them
+       when we start so that anything wrong with them gets logged */
+    this.keys = opts.keys || []
+    this.static = {}
+
+    this.dynamic = {
+      keys: {},
+      updated: 0
+    }
+
+    this.local = new Map()
+  }
+
+  start () {
+    if (this.timer) return
+
+    this.static = this.parseKeys(this.keys)
+
+    if (this.cache) this.timer = setInterval(() => this.refresh(), this.refreshInterval)
+
+    return this.reload()
+  }
+
+  stop () {
+    if (!this.timer) return
+
+    clearInterval(this.timer)
+    this.timer = null
+  }
+
+  /* Reads the keys from our file and, if we have Redis, shares them with
+     the other workers. Without a file we pick up whatever Redis has */
+  reload () {
+    if (!this.file) return this.refresh()
+
+    return readKeys(this.file)
+      .then(list => {
+        list.updated = Date.now()
+
+        this.apply(list)
+
+        if (!this.cache) return
+
+        return this.cache.setNoExpire(CACHE_NAME, list)
+      })
+      .catch(error => this.emit('error', error))
+  }
+
+  /* Picks up the keys from Redis if someone has changed them */
+  refresh () {
+    if (!this.cache) return Promise.resolve()
+
+    return this.cache.get(CACHE_NAME)
+      .then(list => {
+        if (!list || list.updated === this.dynamic.updated) return
+
+        this.apply(list)
+      })
+      .catch(error => this.emit('error', error))
+  }
+
+  apply (list) {
+    this.dynamic = {
+      keys: this.parseKeys(list.keys || []),
+      updated: list.updated || 0
+    }
+
+    this.emit('log', 'Loaded ' + Object.keys(this.dynamic.keys).length + ' API key(s)')
+  }
+
+  /* Each key is listed with a name for it, the tier that it belongs to,
+     and either the key itself or the SHA256 hash of the key so that we
+     don't need to keep the keys themselves lying around */
+  parseKeys (keys) {
+    const result = {}
+
+    keys.forEach(entry => {
+      const hash = entry.hash || ((entry.key) ? sha256(entry.key) : false)
+
+      if (!hash || !entry.name) return this.emit('log', 'Ignoring API key without a key and name')
+
+      if (!this.tiers[entry.tier]) return this.emit('log', 'Ignoring API key ' + entry.name + ' with unknown tier: ' + entry.tier)
+
+      result[hash.toLowerCase()] = {
+        name: entry.name,
+        tier: this.tiers[entry.tier]
+      }
+    })
+
+    return result
+  }
+
+  /* Pulls the key out of the request headers, if one was supplied */
+  static requestKey (request) {
+    const authorization = request.header('authorization')
+
+    if (authorization) {
+      const match = authorization.match(/^Bearer\s+(\S+)$/i)
+
+      if (match) return match[1]
+    }
+
+    return request.header('x-api-key') || false
+  }
+
+  /* Returns the name and tier of the key if we know it */
+  authenticate (key) {
+    const hash = sha256(key)
+
+    return this.dynamic.keys[hash] || this.static[hash] || false
+  }
+
+  /* Routes that are restricted are only available to the tiers that
+     list them explicitly, everything else is available to the tiers
+     that list it or that allow everything with * */
+  canAccess (tier, method, path) {
+    const explicit = tier.routes.some(route => routeMatches(route, method, path))
+
+    if (explicit) return true
+
+    const restricted = this.restrictedRoutes.some(route => routeMatches(route, method, path))
+
+    return (!restricted && tier.routes.indexOf('*') !== -1)
+  }
+
+  /* Counts the request against the key for today and resolves the new count */
+  recordUsage (name) {
+    const cacheName = usageName(name, today())
+
+    if (this.cache) return this.cache.increment(cacheName, USAGE_TTL)
+
+    const count = (this.local.get(cacheName) || 0) + 1
+
+    /* We only need to remember today's counts when we keep them ourselves */
+    if (count === 1) {
+      this.local.forEach((value, key) => { if (key.indexOf(usageName(name, '')) === 0) this.local.delete(key) })
+    }
+
+    this.local.set(cacheName, count)
+
+    return Promise.resolve(count)
+  }
+
+  usage (name) {
+    const date = today()
+    const cacheName = usageName(name, date)
+
+    const count = (this.cache)
+      ? this.cache.get(cacheName)
+      : Promise.resolve(this.local.get(cacheName))
+
+    return count.then(requests => {
+      return {
+        date: date,
+        requests: requests || 0
+      }
+    })
+  }
+}
+
+function readKeys (file) {
+  return new Promise((resolve, reject) => {
+    fs.readFile(file, (err, data) => {
+      if (err) return reject(err)
+
+      try {
+        return resolve(JSON.parse(data.toString()))
+      } catch (e) {
+        return reject(new Error('Could not parse API key file ' + file))
+      }
+    })
+  })
+}
+
+/* Routes may be prefixed with the method that they apply to and cover
+   everything beneath them, so "POST /block" covers /block/template too */
+function routeMatches (route, method, path) {
+  const parts = route.split(' ')
+
+  if (parts.length === 2) {
+    if (parts[0].toUpperCase() !== method) return false
+
+    route = parts[1]
+  }
+
+  return (path === route || path.indexOf(route + '/') === 0)
+}
+
+function sha256 (message) {
+  return Crypto.createHash('sha256').update(message).digest('hex')
+}
+
+function today () {
+  return new Date().toISOString().substring(0, 10)
+}
+
+function usageName (name, date) {
+  return 'apiKeyUsage' + name + ':' + date
+}
+
+module.exports = ApiKeys
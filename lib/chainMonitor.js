@@ -0,0 +1,183 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const EventEmitter = require('events').EventEmitter
+
+class ChainMonitor extends EventEmitter {
+  constructor (database, opts) {
+    if (!database) throw new Error('Must supply a database backend to monitor')
+    super()
+
+    opts = opts || {}
+
+    this.database = database
+    this.pollInterval = opts.pollInterval || 2500
+    this.reorgDepth = opts.reorgDepth || 100
+
+    this.lastHeader = false
+    this.blockHashes = false
+    this.poolHashes = false
+    this.polling = false
+  }
+
+  start () {
+    if (this.timer) return
+
+    this.timer = setInterval(() => this.poll(), this.pollInterval)
+
+    return this.poll()
+  }
+
+  stop () {
+    if (!this.timer) return
+
+    clearInterval(this.timer)
+    this.timer = null
+  }
+
+  poll () {
+    /* If the last poll has not finished yet, we'll wait for the next tick */
+    if (this.polling) return Promise.resolve()
+    this.polling = true
+
+    return this.database.getLastBlockHeader()
+      .then(header => { return this.checkHeader(header) })
+      .then(() => { return this.database.getTransactionPool() })
+      .then(transactions => { this.checkPool(transactions) })
+      .catch(error => { this.emit('error', error) })
+      .then(() => { this.polling = false })
+  }
+
+  checkHeader (header) {
+    const last = this.lastHeader
+
+    if (last && last.hash === header.hash) return
+
+    /* Go get the hashes of the recent blocks so that we can compare
+       them against the hashes we saw at those heights last time */
+    return this.database.getBlockHashes(Math.max(0, header.height - this.reorgDepth + 1), header.height)
+      .then(rows => {
+        const current = {}
+        const orphaned = []
+
+        rows.forEach(row => { current[row.height] = row.hash })
+
+        const minHeight = (rows.length !== 0) ? rows[0].height : header.height
+
+        /* Any block we knew about at or above the bottom of our window that
+           no longer has the same hash at the same height has been orphaned */
+        if (this.blockHashes) {
+          Object.keys(this.blockHashes).forEach(height => {
+            height = parseInt(height)
+
+            if (height >= minHeight && current[height] !== this.blockHashes[height]) {
+              orphaned.push({ height: height, hash: this.blockHashes[height] })
+            }
+          })
+        }
+
+        this.blockHashes = current
+        this.lastHeader = header
+
+        /* The first header we see only establishes our baseline */
+        if (!last) return
+
+        if (orphaned.length !== 0) {
+          orphaned.sort((a, b) => a.height - b.height)
+
+          this.push('reorg', {
+            forkHeight: orphaned[0].height,
+            height: header.height,
+            hash: header.hash,
+            previousHeight: last.height,
+            previousHash: last.hash,
+            orphaned: orphaned
+          })
+        }
+
+        this.push('block', header)
+      })
+  }
+
+  checkPool (transactions) {
+    const current = {}
+
+    transactions.forEach(txn => { current[txn.txnHash] = txn })
+
+    const last = this.poolHashes
+    this.poolHashes = Object.keys(current)
+
+    /* The first pool we see only establishes our baseline */
+    if (!last) return
+
+    const added = this.poolHashes
+      .filter(hash => last.indexOf(hash) === -1)
+      .map(hash => current[hash])
+
+    const removed = last.filter(hash => !current[hash])
+
+    if (added.length === 0 && removed.length === 0) return
+
+    this.push('pool', {
+      added: added,
+      removed: removed
+    })
+  }
+
+  /* Event IDs are the height and hash of the top block when the event
+     happened. Every worker agrees on those, so a client can pick up where
+     it left off no matter which of them it reconnects to */
+  get lastEventId () {
+    return (this.lastHeader) ? eventId(this.lastHeader) : false
+  }
+
+  push (type, data) {
+    const event = {
+      id: this.lastEventId,
+      type: type,
+      data: data
+    }
+
+    this.emit(type, data)
+    this.emit('event', event)
+  }
+
+  /* Resolves the block events for the blocks found after the one in the
+     supplied event ID, or false if that block is no longer in the window of
+     recent blocks that we watch (too old, orphaned, or not one of ours). We
+     don't replay pool changes as the current pool is only a request away */
+  eventsSince (id) {
+    const match = (typeof id === 'string') ? id.match(/^(\d+)-([0-9a-f]{64})$/) : null
+
+    if (!match || !this.blockHashes) return Promise.resolve(false)
+
+    const height = parseInt(match[1], 10)
+
+    if (this.blockHashes[height] !== match[2]) return Promise.resolve(false)
+
+    const heights = Object.keys(this.blockHashes)
+      .map(height => parseInt(height, 10))
+      .filter(blockHeight => blockHeight > height)
+      .sort((a, b) => a - b)
+
+    return Promise.all(heights.map(height => this.database.getBlockHeaderByHeight(height)))
+      .then(headers => {
+        return headers.map(header => {
+          return {
+            id: eventId(header),
+            type: 'block',
+            data: header
+          }
+        })
+      })
+  }
+}
+
+function eventId (header) {
+  return header.height + '-' + header.hash
+}
+
+module.exports = ChainMonitor
@@ -0,0 +1,111 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const EventEmitter = require('events')
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+}
+
+class CircuitBreaker extends EventEmitter {
+  constructor (name, opts) {
+    super()
+
+    opts = opts || {}
+
+    this.name = name
+    this.failureThreshold = opts.failureThreshold || 3
+    this.resetTimeout = opts.resetTimeout || 30000
+
+    /* Decides which errors count against the circuit, by default they all do */
+    this.isFailure = opts.isFailure || (() => true)
+
+    this.state = STATES.CLOSED
+    this.failures = 0
+    this.openedAt = 0
+    this.probing = false
+  }
+
+  static get states () {
+    return STATES
+  }
+
+  /* How many seconds until we are willing to try again */
+  get retryAfter () {
+    if (this.state === STATES.CLOSED) return 0
+
+    return Math.max(1, Math.ceil((this.openedAt + this.resetTimeout - Date.now()) / 1000))
+  }
+
+  /* Runs the function unless the circuit is open, in which case we fail
+     fast. Once the reset timeout has passed, a single probe is let through
+     to find out if whatever is on the other side has recovered */
+  call (fn) {
+    if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.setState(STATES.HALF_OPEN)
+    }
+
+    if (this.state === STATES.OPEN || (this.state === STATES.HALF_OPEN && this.probing)) {
+      const error = new Error('Circuit for ' + this.name + ' is open')
+      error.code = 'ECIRCUITOPEN'
+      error.retryAfter = this.retryAfter
+
+      return Promise.reject(error)
+    }
+
+    const probe = (this.state === STATES.HALF_OPEN)
+    if (probe) this.probing = true
+
+    return fn()
+      .then(result => {
+        if (probe) this.probing = false
+        this.failures = 0
+
+        if (this.state !== STATES.CLOSED) this.setState(STATES.CLOSED)
+
+        return result
+      })
+      .catch(error => {
+        if (probe) this.probing = false
+
+        if (this.isFailure(error)) {
+          this.failures++
+
+          if (probe || this.failures >= this.failureThreshold) {
+            this.openedAt = Date.now()
+            this.setState(STATES.OPEN)
+          }
+        } else if (probe) {
+          /* The probe failed for some other reason so we still don't know */
+          this.openedAt = Date.now()
+          this.setState(STATES.OPEN)
+        }
+
+        throw error
+      })
+  }
+
+  setState (state) {
+    if (this.state === state) return
+
+    const previous = this.state
+    this.state = state
+
+    this.emit('stateChange', state, previous)
+  }
+
+  toJSON () {
+    return {
+      state: this.state,
+      failures: this.failures,
+      retryAfter: this.retryAfter
+    }
+  }
+}
+
+module.exports = CircuitBreaker
@@ -0,0 +1,123 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const AddressRange = require('./addressRange')
+const net = require('net')
+
+/* Works out the address of the client that made the request. We only
+   believe what the forwarding headers say about the client if the request
+   was handed to us by one of the proxies that we trust */
+class ClientIpResolver {
+  constructor (opts) {
+    opts = opts || {}
+
+    this.trustedProxies = []
+    this.useForwarded = opts.useForwarded || false
+    this.useCloudflare = opts.useCloudflare || false
+
+    const trustedProxies = opts.trustedProxies || []
+
+    trustedProxies.forEach(proxy => {
+      const range = AddressRange.parse(proxy)
+
+      if (!range) throw new Error('Invalid trusted proxy range: ' + proxy)
+
+      this.trustedProxies.push(range)
+    })
+  }
+
+  isTrusted (ip) {
+    const address = AddressRange.parseAddress(ip)
+
+    if (!address) return false
+
+    for (var i = 0; i < this.trustedProxies.length; i++) {
+      if (AddressRange.contains(this.trustedProxies[i], address)) return true
+    }
+
+    return false
+  }
+
+  resolve (request) {
+    const peer = normalize(request.socket.remoteAddress)
+
+    if (!peer || !this.isTrusted(peer)) return peer
+
+    if (this.useCloudflare) {
+      const connectingIp = normalize(request.header('cf-connecting-ip'))
+
+      if (connectingIp) return connectingIp
+    }
+
+    const forwarded = (this.useForwarded && request.header('forwarded'))
+      ? parseForwarded(request.header('forwarded'))
+      : parseForwardedFor(request.header('x-forwarded-for'))
+
+    /* Every proxy appends the address that it got the request from so we
+       walk back from the end of the chain until we reach an address that
+       we have no reason to trust. If we can't make sense of a hop, the
+       last proxy that we trusted is as close to the client as we can get */
+    var client = peer
+
+    for (var i = forwarded.length - 1; i >= 0; i--) {
+      const hop = normalize(forwarded[i])
+
+      if (!hop) break
+
+      client = hop
+
+      if (!this.isTrusted(hop)) break
+    }
+
+    return client
+  }
+}
+
+function parseForwardedFor (header) {
+  if (!header) return []
+
+  return header.split(',').map(hop => hop.trim())
+}
+
+/* Pulls the for= parameter out of each element of an RFC 7239 Forwarded header */
+function parseForwarded (header) {
+  return header.split(',').map(element => {
+    const pair = element.split(';')
+      .map(pair => pair.trim())
+      .filter(pair => pair.toLowerCase().indexOf('for=') === 0)[0]
+
+    if (!pair) return ''
+
+    return pair.substring(4).replace(/^"|"$/g, '')
+  })
+}
+
+/* Strips any port from the address and returns it in the form that we log
+   and key things by, or false if it isn't an address at all */
+function normalize (ip) {
+  if (typeof ip !== 'string') return false
+
+  ip = ip.trim()
+
+  const bracketed = ip.match(/^\[([^\]]+)\](?::\d+)?$/)
+
+  if (bracketed) {
+    ip = bracketed[1]
+  } else if (/^[^:]+:\d+$/.test(ip)) {
+    ip = ip.split(':')[0]
+  }
+
+  /* IPv4 clients of a dual stack socket show up as IPv4-mapped addresses */
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)
+
+  if (mapped) ip = mapped[1]
+
+  if (!net.isIP(ip.split('%')[0])) return false
+
+  return ip
+}
+
+module.exports = ClientIpResolver
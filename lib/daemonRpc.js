@@ -0,0 +1,198 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const EventEmitter = require('events')
+const http = require('http')
+const https = require('https')
+const RequestContext = require('./requestContext')
+
+class DaemonRpc extends EventEmitter {
+  constructor (endpoints, opts) {
+    super()
+
+    opts = opts || {}
+
+    if (!Array.isArray(endpoints) || endpoints.length === 0) throw new Error('Must supply at least one daemon endpoint')
+
+    this.timeout = opts.timeout || 5000
+    this.retryInterval = opts.retryInterval || 5000
+    this.maxRetryInterval = opts.maxRetryInterval || 60000
+
+    /* The endpoints are kept in priority order along with how healthy they are */
+    this.endpoints = endpoints.map(endpoint => {
+      return {
+        name: endpoint.host + ':' + endpoint.port,
+        host: endpoint.host,
+        port: endpoint.port,
+        ssl: endpoint.ssl || false,
+        failures: 0,
+        downUntil: 0
+      }
+    })
+
+    this.handlers = {
+      transaction: (endpoint, payload, timeout) => this.sendRawTransaction(endpoint, payload, timeout),
+      block: (endpoint, payload, timeout) => this.submitBlock(endpoint, payload, timeout),
+      blockTemplate: (endpoint, payload, timeout) => this.getBlockTemplate(endpoint, payload, timeout)
+    }
+  }
+
+  supports (type) {
+    return (typeof this.handlers[type] !== 'undefined')
+  }
+
+  /* Returns the endpoints in the order that we should try them. Healthy
+     endpoints come first, in priority order. If none are healthy we try the
+     ones that are resting anyways as it's better than not trying at all */
+  candidates () {
+    const now = Date.now()
+
+    const healthy = this.endpoints.filter(endpoint => endpoint.downUntil <= now)
+    const resting = this.endpoints.filter(endpoint => endpoint.downUntil > now)
+
+    return healthy.concat(resting)
+  }
+
+  /* Sends the relay message to the daemons and resolves the reply, in the
+     same shape that the relay agent would have given us, along with the
+     name of the endpoint that served it */
+  request (type, payload, timeout) {
+    if (!this.supports(type)) return Promise.reject(new Error('Daemon fallback does not support ' + type + ' messages'))
+
+    timeout = timeout || this.timeout
+
+    const candidates = this.candidates()
+
+    const attempt = (idx) => {
+      const endpoint = candidates[idx]
+
+      return this.handlers[type](endpoint, payload, timeout)
+        .then(response => {
+          this.markHealthy(endpoint)
+
+          return {
+            endpoint: endpoint.name,
+            response: response
+          }
+        })
+        .catch(error => {
+          this.markFailed(endpoint, error)
+
+          if (idx + 1 >= candidates.length) throw error
+
+          return attempt(idx + 1)
+        })
+    }
+
+    return attempt(0)
+  }
+
+  markHealthy (endpoint) {
+    if (endpoint.failures !== 0) this.emit('log', 'Daemon ' + endpoint.name + ' is responding again')
+
+    endpoint.failures = 0
+    endpoint.downUntil = 0
+  }
+
+  markFailed (endpoint, error) {
+    endpoint.failures++
+
+    const delay = Math.min(this.retryInterval * Math.pow(2, endpoint.failures - 1), this.maxRetryInterval)
+    endpoint.downUntil = Date.now() + delay
+
+    this.emit('log', 'Daemon ' + endpoint.name + ' failed (' + error.message + '), resting it for ' + delay + 'ms')
+  }
+
+  sendRawTransaction (endpoint, payload, timeout) {
+    return post(endpoint, '/sendrawtransaction', { tx_as_hex: payload.rawTransaction }, timeout)
+      .then(response => {
+        return {
+          status: response.status || 'Failed',
+          error: response.error || ''
+        }
+      })
+  }
+
+  submitBlock (endpoint, payload, timeout) {
+    return jsonRpc(endpoint, 'submitblock', [payload.blockBlob], timeout)
+      .then(response => {
+        if (response.error) return { error: response.error.message }
+
+        return {}
+      })
+  }
+
+  getBlockTemplate (endpoint, payload, timeout) {
+    return jsonRpc(endpoint, 'getblocktemplate', {
+      reserve_size: payload.reserveSize,
+      wallet_address: payload.walletAddress
+    }, timeout)
+      .then(response => {
+        if (response.error) return { error: response.error.message }
+
+        return {
+          blocktemplate_blob: response.result.blocktemplate_blob,
+          difficulty: response.result.difficulty,
+          height: response.result.height,
+          reserved_offset: response.result.reserved_offset
+        }
+      })
+  }
+}
+
+function jsonRpc (endpoint, method, params, timeout) {
+  return post(endpoint, '/json_rpc', {
+    jsonrpc: '2.0',
+    id: 0,
+    method: method,
+    params: params
+  }, timeout)
+}
+
+/* Posts the body to the daemon and resolves the parsed reply. Anything
+   that means the daemon could not answer us properly is a rejection */
+function post (endpoint, path, body, timeout) {
+  return new Promise((resolve, reject) => {
+    const data = JSON.stringify(body)
+    const transport = (endpoint.ssl) ? https : http
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(data)
+    }
+
+    if (RequestContext.requestId) headers['X-Request-Id'] = RequestContext.requestId
+
+    const request = transport.request({
+      host: endpoint.host,
+      port: endpoint.port,
+      path: path,
+      method: 'POST',
+      headers: headers
+    }, (response) => {
+      const chunks = []
+
+      response.on('data', chunk => chunks.push(chunk))
+      response.on('end', () => {
+        if (response.statusCode !== 200) return reject(new Error('Daemon responded with HTTP ' + response.statusCode))
+
+        try {
+          return resolve(JSON.parse(Buffer.concat(chunks).toString()))
+        } catch (e) {
+          return reject(new Error('Could not parse reply from daemon'))
+        }
+      })
+    })
+
+    request.setTimeout(timeout, () => request.destroy(new Error('Daemon did not respond within ' + timeout + 'ms')))
+    request.on('error', error => reject(error))
+
+    request.write(data)
+    request.end()
+  })
+}
+
+module.exports = DaemonRpc
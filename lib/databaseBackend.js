@@ -4,11 +4,34 @@
 
 'use strict'
 
+const DecoySelection = require('./decoySelection')
+const Metrics = require('./metrics')
 const MySQL = require('mysql')
 const Random = require('random-number-csprng')
 const RedisCache = require('./redisCache.js')
+const RequestContext = require('./requestContext')
 const util = require('util')
 
+/* Cache entries that can't be found by the blocks that they describe carry
+   this version, which we bump when the chain is reorganized */
+const CHAIN_VERSION = 'chainVersion'
+const CHAIN_VERSION_TTL = 60 * 60 * 24 * 7
+
+/* How long we remember the key images spent by the transactions that we
+   relayed, and how many of them we keep in memory when we have no cache */
+const POOL_KEY_IMAGE_TTL = 60 * 60 * 24
+const POOL_KEY_IMAGE_MAX_LOCAL_ENTRIES = 100000
+
+/* Unlock times below this value are block heights, above are timestamps */
+const MAX_BLOCK_NUMBER = 500000000
+
+/* How many times we will draw replacements for outputs that are not spendable */
+const MAX_SELECTION_ROUNDS = 10
+
+/* How many blocks we build at a time, and how many we will send at most, when streaming sync data */
+const STREAM_CHUNK_SIZE = 100
+const STREAM_MAX_BLOCK_COUNT = 10000
+
 class DatabaseBackend {
   constructor (opts) {
     opts = opts || {}
@@ -35,6 +58,8 @@ class DatabaseBackend {
       this.cache = new RedisCache(opts.redis)
       this.cache.on('error', err => console.log(err.toString()))
     }
+
+    this.poolKeyImages = new Map()
   }
 
   checkCache (key) {
@@ -43,9 +68,13 @@ class DatabaseBackend {
 
       this.cache.get(key)
         .then(data => {
-          if (!data) return resolve(false)
-          if (Array.isArray(data) && data.length === 0) return resolve(false)
-          if (Object.keys(data).length === 0) return resolve(false)
+          if (!data || (Array.isArray(data) && data.length === 0) || Object.keys(data).length === 0) {
+            Metrics.observeCache(false)
+            return resolve(false)
+          }
+
+          Metrics.observeCache(true)
+          RequestContext.countCacheHit()
           return resolve(data)
         })
     })
@@ -54,8 +83,14 @@ class DatabaseBackend {
   query (query, args) {
     args = args || []
 
+    RequestContext.countQuery()
+
     return new Promise((resolve, reject) => {
+      const start = process.hrtime()
+
       this.db.query(query, args, (error, results, fields) => {
+        Metrics.observeQuery(Metrics.toSeconds(process.hrtime(start)), error)
+
         if (error) return reject(error)
 
         return resolve(results)
@@ -111,7 +146,7 @@ class DatabaseBackend {
         .then(() => { return this.query('SELECT * FROM `blocks` WHERE `hash` = ? LIMIT 1', [blockHash]) })
         .then(blocks => {
           if (blocks.length === 0) {
-            return reject(new Error('Requested block not found'))
+            return reject(notFound('Requested block not found'))
           }
 
           obj = blocks[0]
@@ -139,7 +174,7 @@ class DatabaseBackend {
         .then(() => { return this.query('SELECT * FROM `blocks` WHERE `height` = ? LIMIT 1', [height]) })
         .then(blocks => {
           if (blocks.length === 0) {
-            return reject(new Error('Requested block not found'))
+            return reject(notFound('Requested block not found'))
           }
 
           obj = blocks[0]
@@ -206,6 +241,45 @@ class DatabaseBackend {
     })
   }
 
+  getBlockHashes (minHeight, maxHeight) {
+    /* This is deliberately not cached as it is used to detect
+       changes in the chain that the cache would hide from us */
+    return this.query('SELECT `height`, `hash` FROM `blocks` WHERE `height` BETWEEN ? AND ? ORDER BY `height`', [minHeight, maxHeight])
+  }
+
+  /* Purges the cached entries that may contain data from blocks that
+     have been orphaned by a chain reorganization */
+  invalidateBlocks (forkHeight, topHeight, orphanedHashes) {
+    if (!this.cache) return Promise.resolve(0)
+
+    const keys = ['getLastBlockHeader', 'getBlockCount']
+
+    for (var height = forkHeight; height <= topHeight; height++) {
+      keys.push('getBlockHeaderByHeight' + height)
+      keys.push('getBlockHash' + height)
+    }
+
+    orphanedHashes.forEach((hash) => {
+      keys.push(hash)
+      keys.push('legacy' + hash)
+      keys.push('getBlock' + hash)
+      keys.push('getBlockHeaderByHash' + hash)
+      keys.push('getBlockHeight' + hash)
+      keys.push('getTransactionsByBlock' + hash)
+    })
+
+    /* The block ranges and sync heights that we handed out are keyed by
+       what the client asked for, so we retire all of them at once */
+    return this.cache.increment(CHAIN_VERSION, CHAIN_VERSION_TTL)
+      .then(() => { return this.cache.del(keys) })
+  }
+
+  chainVersion () {
+    if (!this.cache) return Promise.resolve(0)
+
+    return this.cache.get(CHAIN_VERSION).then(version => { return version || 0 })
+  }
+
   getBlockCount () {
     return new Promise((resolve, reject) => {
       const cacheName = 'getBlockCount'
@@ -227,7 +301,7 @@ class DatabaseBackend {
 
   getTransactionPool () {
     return new Promise((resolve, reject) => {
-      const cacheName = 'getBlockCount'
+      const cacheName = 'getTransactionPool'
 
       this.checkCache(cacheName)
         .then(cached => { if (cached) return resolve(cached) })
@@ -273,7 +347,7 @@ class DatabaseBackend {
         })
         .then(transactions => {
           if (transactions.length !== 1) {
-            return reject(new Error('Transaction not found'))
+            return reject(notFound('Transaction not found'))
           }
 
           const transaction = transactions[0]
@@ -448,13 +522,18 @@ class DatabaseBackend {
   getBlocks (height, count) {
     const cnt = count || 30
     return new Promise((resolve, reject) => {
-      const cacheName = 'getBlocks' + height + cnt
+      var cacheName
 
       /* We return just 30 blocks inclusive of our height */
       const min = height - (cnt - 1)
       const max = height
 
-      this.checkCache(cacheName)
+      this.chainVersion()
+        .then(version => {
+          cacheName = 'getBlocks' + version + ':' + height + ':' + cnt
+
+          return this.checkCache(cacheName)
+        })
         .then(cached => { if (cached) return resolve(cached) })
         .then(() => {
           return this.query([
@@ -571,6 +650,248 @@ class DatabaseBackend {
     })
   }
 
+  /* Resolves where the transaction currently lives: in a block (along with how
+     many confirmations it has), in the transaction pool, or false if neither */
+  getTransactionState (hash) {
+    var topHeight
+
+    return this.getLastBlockHeader()
+      .then(header => {
+        topHeight = header.height
+
+        return this.query([
+          'SELECT `blocks`.`hash`, `blocks`.`height` FROM `transactions` ',
+          'JOIN `blocks` ON `blocks`.`hash` = `transactions`.`blockHash` ',
+          'WHERE `transactions`.`txnHash` = ? LIMIT 1'
+        ].join(''), [hash])
+      })
+      .then(rows => {
+        if (rows.length === 1) {
+          return {
+            state: 'confirmed',
+            block: {
+              hash: rows[0].hash,
+              height: rows[0].height
+            },
+            confirmations: topHeight - rows[0].height + 1
+          }
+        }
+
+        return this.query('SELECT `txnHash` FROM `transaction_pool` WHERE `txnHash` = ? LIMIT 1', [hash])
+          .then(rows => {
+            if (rows.length === 1) return { state: 'in_pool' }
+
+            return false
+          })
+      })
+  }
+
+  /* The transaction pool table does not carry the inputs of the transactions
+     in it, so we remember the key images of the transactions that we relay
+     ourselves and look there for key images that are not in a block yet */
+  recordPoolKeyImages (hash, keyImages) {
+    if (this.cache) {
+      return Promise.all(keyImages.map(keyImage => this.cache.set(poolKeyImageName(keyImage), hash, POOL_KEY_IMAGE_TTL)))
+    }
+
+    const expires = Date.now() + POOL_KEY_IMAGE_TTL * 1000
+
+    /* Maps iterate in insertion order so the first key is always the oldest */
+    keyImages.forEach(keyImage => {
+      this.poolKeyImages.delete(keyImage)
+      this.poolKeyImages.set(keyImage, { hash: hash, expires: expires })
+    })
+
+    while (this.poolKeyImages.size > POOL_KEY_IMAGE_MAX_LOCAL_ENTRIES) {
+      this.poolKeyImages.delete(this.poolKeyImages.keys().next().value)
+    }
+
+    return Promise.resolve()
+  }
+
+  /* Resolves the key images that are being spent by transactions that we
+     relayed and that are still sitting in the transaction pool */
+  getPoolKeyImages (keyImages) {
+    const spends = {}
+
+    const lookups = keyImages.map(keyImage => {
+      const lookup = (this.cache)
+        ? this.cache.get(poolKeyImageName(keyImage))
+        : Promise.resolve(this.localPoolKeyImage(keyImage))
+
+      return lookup.then(hash => { if (hash) spends[keyImage] = hash })
+    })
+
+    return Promise.all(lookups)
+      .then(() => {
+        const hashes = Object.keys(spends).map(keyImage => spends[keyImage])
+          .filter((hash, idx, hashes) => hashes.indexOf(hash) === idx)
+
+        if (hashes.length === 0) return []
+
+        return this.query([
+          'SELECT `txnHash` FROM `transaction_pool` ',
+          'WHERE `txnHash` IN (' + hashes.map(() => '?').join(',') + ')'
+        ].join(''), hashes)
+      })
+      .then(rows => {
+        const inPool = rows.map(row => row.txnHash)
+
+        return Object.keys(spends)
+          .filter(keyImage => inPool.indexOf(spends[keyImage]) !== -1)
+          .map(keyImage => { return { keyImage: keyImage, hash: spends[keyImage] } })
+      })
+  }
+
+  localPoolKeyImage (keyImage) {
+    const entry = this.poolKeyImages.get(keyImage)
+
+    if (!entry) return false
+
+    if (entry.expires < Date.now()) {
+      this.poolKeyImages.delete(keyImage)
+      return false
+    }
+
+    return entry.hash
+  }
+
+  /* A key image that was spent in a block takes precedence over one that is
+     being spent in the pool as the pool copy is destined to be dropped. We
+     only know about pool spends of the transactions that we relayed */
+  getKeyImagesStatus (keyImages) {
+    return new Promise((resolve, reject) => {
+      const cacheName = 'getKeyImagesStatus' + JSON.stringify(keyImages)
+
+      const result = {
+        status: 'OK',
+        keyImagesInBlock: [],
+        keyImagesInPool: [],
+        keyImagesUnknown: []
+      }
+
+      const found = {}
+
+      var criteria = []
+      for (var i = 0; i < keyImages.length; i++) {
+        criteria.push('`ti`.`keyImage` = ?')
+      }
+      criteria = criteria.join(' OR ')
+
+      this.checkCache(cacheName)
+        .then(cached => { if (cached) return resolve(cached) })
+        .then(() => {
+          return this.query([
+            'SELECT `ti`.`keyImage`, `ti`.`txnHash`, `b`.`height` ',
+            'FROM `transaction_inputs` AS `ti` ',
+            'LEFT JOIN `transactions` AS `t` ON `t`.`txnHash` = `ti`.`txnHash` ',
+            'LEFT JOIN `blocks` AS `b` ON `b`.`hash` = `t`.`blockHash` ',
+            'WHERE ' + criteria
+          ].join(''), keyImages)
+        })
+        .then(rows => {
+          rows.forEach((row) => {
+            if (row.height !== null && !found[row.keyImage]) {
+              found[row.keyImage] = { keyImage: row.keyImage, hash: row.txnHash, height: row.height }
+            }
+          })
+
+          Object.keys(found).forEach((keyImage) => {
+            result.keyImagesInBlock.push(found[keyImage])
+          })
+
+          const remaining = keyImages.filter((keyImage, idx) => !found[keyImage] && keyImages.indexOf(keyImage) === idx)
+
+          return this.getPoolKeyImages(remaining)
+        })
+        .then(spends => {
+          spends.forEach((spend) => {
+            found[spend.keyImage] = spend
+            result.keyImagesInPool.push(spend)
+          })
+
+          keyImages.forEach((keyImage) => {
+            if (!found[keyImage] && result.keyImagesUnknown.indexOf(keyImage) === -1) {
+              result.keyImagesUnknown.push(keyImage)
+            }
+          })
+        })
+        .then(() => { return this.setCache(cacheName, result, 5) })
+        .then(() => { return resolve(result) })
+        .catch(error => { return reject(error) })
+    })
+  }
+
+  search (term) {
+    const lookups = []
+
+    if (typeof term === 'number') {
+      lookups.push(() => {
+        return this.getBlockHeaderByHeight(term)
+          .then(header => { return { type: 'block', data: header } })
+      })
+    } else {
+      lookups.push(() => {
+        return this.getBlockHeaderByHash(term)
+          .then(header => { return { type: 'block', data: header } })
+      })
+
+      lookups.push(() => {
+        return this.getTransaction(term)
+          .then(transaction => { return { type: 'transaction', data: transaction } })
+      })
+
+      lookups.push(() => {
+        return this.getTransactionPool()
+          .then(transactions => {
+            const matches = transactions.filter(txn => txn.txnHash === term)
+
+            if (matches.length === 0) throw notFound('Transaction not found in pool')
+
+            return { type: 'pool', data: matches[0] }
+          })
+      })
+
+      lookups.push(() => {
+        return this.getKeyImagesStatus([term])
+          .then(result => {
+            if (result.keyImagesInBlock.length !== 0) {
+              return { type: 'keyImage', data: Object.assign({ status: 'block' }, result.keyImagesInBlock[0]) }
+            } else if (result.keyImagesInPool.length !== 0) {
+              return { type: 'keyImage', data: Object.assign({ status: 'pool' }, result.keyImagesInPool[0]) }
+            }
+
+            throw notFound('Key image not found')
+          })
+      })
+
+      lookups.push(() => {
+        return this.getTransactionHashesByPaymentId(term)
+          .then(hashes => {
+            if (hashes.length === 0) throw notFound('Payment ID not found')
+
+            return { type: 'paymentId', data: hashes }
+          })
+      })
+    }
+
+    /* Try each of the lookups in order until one of them finds something. If
+       none of them do, we resolve false to indicate that nothing was found.
+       Anything other than a miss means we can't tell, so we pass it along */
+    return lookups.reduce((promise, lookup) => {
+      return promise.catch(error => {
+        if (error.code !== 'NOT_FOUND') throw error
+
+        return lookup()
+      })
+    }, Promise.reject(notFound('No lookups performed')))
+      .catch(error => {
+        if (error.code !== 'NOT_FOUND') throw error
+
+        return false
+      })
+  }
+
   getNodeStats () {
     return new Promise((resolve, reject) => {
       const cacheName = 'getNodeStats'
@@ -748,17 +1069,81 @@ class DatabaseBackend {
     })
   }
 
+  /* Resolves the highest global index that exists for each of the
+     supplied amounts keyed by amount. Amounts that have no outputs at
+     all are left out */
+  getAmountIndexMaximums (amounts) {
+    if (!Array.isArray(amounts)) return Promise.reject(new Error('Must supply an array of amounts'))
+
+    if (amounts.length === 0) return Promise.resolve({})
+
+    const criteria = amounts.map(() => '?').join(',')
+
+    return this.query(util.format('SELECT `amount`, `globalIndex` FROM `transaction_outputs_index_maximums` WHERE `amount` IN (%s)', criteria), amounts)
+      .then(rows => {
+        const result = {}
+
+        rows.forEach(row => { result[row.amount] = row.globalIndex })
+
+        return result
+      })
+  }
+
   /* Heavyweight queries */
 
+  /* Works out which of the block hashes a wallet supplied are no longer
+     on the main chain. Resolves false if they all are (or if we simply
+     haven't seen the newer ones yet), otherwise the height that the
+     wallet needs to roll back to and the hashes that it should discard */
+  findForkPoint (knownBlockHashes) {
+    if (!Array.isArray(knownBlockHashes) || knownBlockHashes.length === 0) return Promise.resolve(false)
+
+    const found = {}
+    var topHeight
+
+    return this.getLastBlockHeader()
+      .then(header => {
+        topHeight = header.height
+
+        const criteria = knownBlockHashes.map(() => '?').join(',')
+
+        return this.query(util.format('SELECT `hash`, `height` FROM `blocks` WHERE `hash` IN (%s)', criteria), knownBlockHashes)
+      })
+      .then(rows => {
+        var highestKnown = -1
+
+        rows.forEach(row => {
+          found[row.hash] = true
+          if (row.height > highestKnown) highestKnown = row.height
+        })
+
+        const orphanedHashes = knownBlockHashes.filter(hash => !found[hash])
+
+        /* If the wallet knows our top block then anything else it knows
+           about is newer than what we have, not orphaned */
+        if (orphanedHashes.length === 0 || highestKnown >= topHeight) return false
+
+        return {
+          height: highestKnown + 1,
+          orphanedHashes: orphanedHashes
+        }
+      })
+  }
+
   findCurrentSyncHeight (knownBlockHashes, startHeight, startTimestamp) {
     startHeight = startHeight || 0
     startTimestamp = startTimestamp || 0
     return new Promise((resolve, reject) => {
       /* Insert data check? */
-      const cacheName = 'findCurrentSyncHeight' + JSON.stringify(knownBlockHashes) + startHeight + startTimestamp
+      var cacheName
       var syncStart = 0
 
-      this.checkCache(cacheName)
+      this.chainVersion()
+        .then(version => {
+          cacheName = 'findCurrentSyncHeight' + version + JSON.stringify(knownBlockHashes) + startHeight + startTimestamp
+
+          return this.checkCache(cacheName)
+        })
         .then(cached => { if (cached) return resolve(cached) })
         .then(() => {
           if (knownBlockHashes.length > 0) {
@@ -794,43 +1179,86 @@ class DatabaseBackend {
     })
   }
 
-  getWalletSyncDataByHeight (scanHeight, blockCount) {
-    blockCount = checkBlockCount(blockCount)
-    scanHeight = scanHeight || 0
-
-    /* Go get the blocks from the scanHeight provided */
+  getWalletSyncBlocks (minHeight, maxHeight, limit) {
     return this.query([
       'SELECT `hash` AS `blockHash`, `height`, `timestamp`, `txnCount` FROM `blocks`',
       'LEFT JOIN (SELECT `blockHash`, COUNT(*) AS `txnCount` FROM `transactions` GROUP BY `blockHash`)',
       'AS `transactions` ON `transactions`.`blockHash` = `blocks`.`hash`',
-      'WHERE `height` >= ? AND `height` < ? ORDER BY `height`'
-    ].join(' '), [scanHeight, scanHeight + blockCount])
-      .then(blocks => {
-        const promises = []
+      'WHERE `height` >= ? AND `height` <= ? ORDER BY `height` LIMIT ?'
+    ].join(' '), [minHeight, maxHeight, limit])
+  }
 
-        blocks.forEach((block) => {
-          promises.push(this.buildWalletDataBlock(block))
-        })
+  getWalletSyncDataByHeight (scanHeight, blockCount, maxBlockCount) {
+    blockCount = checkBlockCount(blockCount, maxBlockCount)
+    scanHeight = scanHeight || 0
 
-        return Promise.all(promises)
-      })
+    /* Go get the blocks from the scanHeight provided */
+    return this.getWalletSyncBlocks(scanHeight, scanHeight + blockCount - 1, blockCount)
+      .then(blocks => { return this.buildWalletDataBlocks(blocks) })
       .then(blocks => {
         /* Sort the returned blocks because they could be out of order */
-        blocks.sort((a, b) => (a.blockHeight > b.blockHeight) ? 1 : -1)
+        blocks.sort((a, b) => (a.height > b.height) ? 1 : -1)
 
         return blocks
       })
   }
 
-  getWalletSyncData (knownBlockHashes, blockCount) {
-    blockCount = checkBlockCount(blockCount)
+  getWalletSyncData (knownBlockHashes, blockCount, maxBlockCount) {
+    blockCount = checkBlockCount(blockCount, maxBlockCount)
 
     if (!Array.isArray(knownBlockHashes)) throw new Error('You must supply an array of block hashes')
     if (knownBlockHashes.length === 0) throw new Error('You must supply at least one known block hash')
 
     /* Find out the highest block that we know about */
     return this.findCurrentSyncHeight(knownBlockHashes)
-      .then(syncHeight => { return this.getWalletSyncDataByHeight(syncHeight, blockCount) })
+      .then(syncHeight => { return this.getWalletSyncDataByHeight(syncHeight, blockCount, maxBlockCount) })
+  }
+
+  /* Streams the wallet sync data for the requested range to onBlock one
+     block at a time. Blocks are built in chunks so that we never hold
+     more than one chunk in memory and if onBlock returns a promise,
+     we wait for it before moving on so that a slow client slows us down */
+  streamWalletSyncDataByHeight (scanHeight, blockCount, onBlock, opts) {
+    opts = opts || {}
+    blockCount = checkBlockCount(blockCount, opts.maxBlockCount || STREAM_MAX_BLOCK_COUNT)
+    scanHeight = scanHeight || 0
+
+    const maxHeight = scanHeight + blockCount - 1
+
+    var topBlock
+
+    return this.getLastBlockHeader()
+      .then(block => { topBlock = block })
+      .then(() => {
+        return this.streamBlocks(scanHeight, blockCount, opts.chunkSize || STREAM_CHUNK_SIZE,
+          (height, limit) => { return this.getWalletSyncBlocks(height, maxHeight, limit) },
+          blocks => { return this.buildWalletDataBlocks(blocks) },
+          onBlock)
+      })
+      .then(result => {
+        return {
+          from: scanHeight,
+          count: result.count,
+          synced: (result.exhausted || result.lastHeight >= topBlock.height),
+          topBlock: topBlock
+        }
+      })
+  }
+
+  streamWalletSyncData (knownBlockHashes, blockCount, onBlock, opts) {
+    if (!Array.isArray(knownBlockHashes)) throw new Error('You must supply an array of block hashes')
+    if (knownBlockHashes.length === 0) throw new Error('You must supply at least one known block hash')
+
+    var fork
+
+    return this.findForkPoint(knownBlockHashes)
+      .then(result => { fork = result })
+      .then(() => { return this.findCurrentSyncHeight(knownBlockHashes) })
+      .then(syncHeight => { return this.streamWalletSyncDataByHeight(syncHeight, blockCount, onBlock, opts) })
+      .then(result => {
+        result.fork = fork
+        return result
+      })
   }
 
   legacyGetWalletSyncDataPreflight (startHeight, startTimestamp, blockHashCheckpoints, skipCoinbaseTransactions) {
@@ -846,7 +1274,8 @@ class DatabaseBackend {
       networkHeight: 0,
       height: 0,
       blockCount: 0,
-      blockHashes: []
+      blockHashes: [],
+      fork: false
     }
 
     return this.getLastBlockHeader()
@@ -854,6 +1283,8 @@ class DatabaseBackend {
         result.topBlock.height = block.height
         result.topBlock.hash = block.hash
       })
+      .then(() => { return this.findForkPoint(blockHashCheckpoints) })
+      .then(fork => { result.fork = fork })
       .then(() => { return this.findCurrentSyncHeight(blockHashCheckpoints, startHeight, startTimestamp) })
       .then(syncHeight => {
         const resolvableBlocks = result.topBlock.height - syncHeight + 1
@@ -882,8 +1313,8 @@ class DatabaseBackend {
       .then(() => { return result })
   }
 
-  legacyGetWalletSyncDataLite (startHeight, blockCount) {
-    blockCount = checkBlockCount(blockCount)
+  legacyGetWalletSyncDataLite (startHeight, blockCount, maxBlockCount) {
+    blockCount = checkBlockCount(blockCount, maxBlockCount)
 
     return this.query([
       'SELECT `hash`, `height`, `timestamp`, `txnCount` FROM `blocks`',
@@ -891,15 +1322,7 @@ class DatabaseBackend {
       'AS `transactions` ON `transactions`.`blockHash` = `blocks`.`hash`',
       'WHERE `height` >= ? ORDER BY `height` ASC LIMIT ?'
     ].join(' '), [startHeight, blockCount])
-      .then(rows => {
-        const promises = []
-
-        rows.forEach((block) => {
-          promises.push(this.buildLegacyWalletDataBlock(block))
-        })
-
-        return Promise.all(promises)
-      })
+      .then(rows => { return this.buildLegacyWalletDataBlocks(rows) })
       .then(blocks => {
         /* Sort the returned blocks because they could be out of order */
         blocks.sort((a, b) => (a.blockHeight > b.blockHeight) ? 1 : -1)
@@ -908,47 +1331,44 @@ class DatabaseBackend {
       })
   }
 
-  legacyGetWalletSyncData (startHeight, startTimestamp, blockHashCheckpoints, blockCount, skipCoinbaseTransactions) {
-    blockCount = checkBlockCount(blockCount)
+  getLegacyWalletSyncBlocks (minHeight, maxHeight, limit, skipCoinbaseTransactions) {
+    /* Build out our query that we will run to find the blocks that we want data for */
+    const blockQuery = [
+      'SELECT `hash`, `height`, `timestamp`, `txnCount` FROM `blocks`',
+      'LEFT JOIN (SELECT `blockHash`, COUNT(*) AS `txnCount` FROM `transactions` GROUP BY `blockHash`)',
+      'AS `transactions` ON `transactions`.`blockHash` = `blocks`.`hash`',
+      'WHERE `height` >= ? AND `height` <= ?'
+    ]
+
+    /* If we are skipping empty blocks, we need to make sure that the transaction count is
+       greater than 1 as if the count is just 1, then it contains only the coinbase transaction */
+    if (skipCoinbaseTransactions) {
+      blockQuery.push('AND `transactions`.`txnCount` > 1')
+    }
+
+    blockQuery.push('ORDER BY `height` ASC LIMIT ?')
+
+    return this.query(blockQuery.join(' '), [minHeight, maxHeight, limit])
+  }
+
+  legacyGetWalletSyncData (startHeight, startTimestamp, blockHashCheckpoints, blockCount, skipCoinbaseTransactions, maxBlockCount) {
+    blockCount = checkBlockCount(blockCount, maxBlockCount)
     skipCoinbaseTransactions = skipCoinbaseTransactions || false
 
     if (!Array.isArray(blockHashCheckpoints)) throw new Error('You must supply an blockHashCheckpoints as an array')
 
     var topBlock
     var topHeight = 0
+    var fork
 
     return this.getLastBlockHeader()
       .then(block => { topBlock = block })
+      .then(() => { return this.findForkPoint(blockHashCheckpoints) })
+      .then(result => { fork = result })
       .then(() => { return this.findCurrentSyncHeight(blockHashCheckpoints, startHeight, startTimestamp) })
       .then(syncHeight => { topHeight = syncHeight })
-      .then(() => {
-        /* Build out our query that we will run to find the blocks that we want data for */
-        const blockQuery = [
-          'SELECT `hash`, `height`, `timestamp`, `txnCount` FROM `blocks`',
-          'LEFT JOIN (SELECT `blockHash`, COUNT(*) AS `txnCount` FROM `transactions` GROUP BY `blockHash`)',
-          'AS `transactions` ON `transactions`.`blockHash` = `blocks`.`hash`',
-          'WHERE `height` >= ? AND `height` <= ?'
-        ]
-
-        /* If we are skipping empty blocks, we need to make sure that the transaction count is
-           greater than 1 as if the count is just 1, then it contains only the coinbase transaction */
-        if (skipCoinbaseTransactions) {
-          blockQuery.push('AND `transactions`.`txnCount` > 1')
-        }
-
-        blockQuery.push('ORDER BY `height` ASC LIMIT ?')
-
-        return this.query(blockQuery.join(' '), [topHeight, topBlock.height, blockCount])
-      })
-      .then(blocks => {
-        /* Loop through the blocks and build out the data we need */
-        const promises = []
-        blocks.forEach((block) => {
-          promises.push(this.buildLegacyWalletDataBlock(block, skipCoinbaseTransactions))
-        })
-
-        return Promise.all(promises)
-      })
+      .then(() => { return this.getLegacyWalletSyncBlocks(topHeight, topBlock.height, blockCount, skipCoinbaseTransactions) })
+      .then(blocks => { return this.buildLegacyWalletDataBlocks(blocks, skipCoinbaseTransactions) })
       .then(blocks => {
         /* Sort the returned blocks because they could be out of order */
         blocks.sort((a, b) => (a.blockHeight > b.blockHeight) ? 1 : -1)
@@ -956,364 +1376,218 @@ class DatabaseBackend {
         return {
           blocks: blocks,
           from: topHeight,
-          topBlock: topBlock
+          topBlock: topBlock,
+          fork: fork
         }
       })
   }
 
-  buildWalletDataBlock (block) {
-    return new Promise((resolve, reject) => {
-      const cacheName = block.blockHash
-
-      const obj = {
-        blockHash: block.blockHash,
-        height: block.height,
-        timestamp: block.timestamp,
-        transactions: []
-      }
+  /* The streaming counterpart of legacyGetWalletSyncData, see streamWalletSyncDataByHeight */
+  legacyStreamWalletSyncData (startHeight, startTimestamp, blockHashCheckpoints, blockCount, skipCoinbaseTransactions, onBlock, opts) {
+    opts = opts || {}
+    blockCount = checkBlockCount(blockCount, opts.maxBlockCount || STREAM_MAX_BLOCK_COUNT)
+    skipCoinbaseTransactions = skipCoinbaseTransactions || false
 
-      const transactionMap = {}
+    if (!Array.isArray(blockHashCheckpoints)) throw new Error('You must supply an blockHashCheckpoints as an array')
 
-      /* Helper method that's used below */
-      function getError (hash, message) {
-        return util.format('Internal Data Consistency Error [%s]: %s', hash, message)
-      }
+    var topBlock
+    var syncHeight = 0
+    var fork
 
-      this.checkCache(cacheName)
-        .then(cached => { if (cached) return resolve(cached) })
-        .then(() => { return this.getTransactionsByBlock(block.blockHash) })
-        .then(txns => {
-          txns.forEach((txn) => {
-            transactionMap[txn.txnHash] = {
-              hash: txn.txnHash,
-              publicKey: txn.publicKey,
-              unlockTime: txn.unlockTimeString,
-              paymentId: txn.paymentId,
-              inputs: [],
-              outputs: [],
-              meta: {
-                inputsTotal: txn.totalInputsAmount,
-                outputsTotal: txn.totalOutputsAmount,
-                fee: txn.fee
-              }
-            }
-          })
-        })
-        .then(() => {
-          const promises = []
+    return this.getLastBlockHeader()
+      .then(block => { topBlock = block })
+      .then(() => { return this.findForkPoint(blockHashCheckpoints) })
+      .then(result => { fork = result })
+      .then(() => { return this.findCurrentSyncHeight(blockHashCheckpoints, startHeight, startTimestamp) })
+      .then(height => {
+        syncHeight = height
 
-          Object.keys(transactionMap).forEach((hash) => {
-            promises.push(this.getTransactionInputs(hash, false))
-          })
+        return this.streamBlocks(syncHeight, blockCount, opts.chunkSize || STREAM_CHUNK_SIZE,
+          (height, limit) => { return this.getLegacyWalletSyncBlocks(height, topBlock.height, limit, skipCoinbaseTransactions) },
+          blocks => { return this.buildLegacyWalletDataBlocks(blocks, skipCoinbaseTransactions) },
+          onBlock)
+      })
+      .then(result => {
+        return {
+          from: syncHeight,
+          count: result.count,
+          synced: (result.exhausted || result.lastHeight >= topBlock.height),
+          topBlock: topBlock,
+          fork: fork
+        }
+      })
+  }
 
-          return Promise.all(promises)
-        })
-        .then(results => {
-          /* Loop through all the results from the promises */
-          results.forEach((result) => {
-            /* Loop through all of the inputs in the result */
-            result.forEach((input) => {
-              transactionMap[input.txnHash].inputs.push({
-                keyImage: input.keyImage,
-                amount: input.amount,
-                type: input.type
-              })
-            })
-          })
-        })
-        .then(() => {
-          /* Loop through the transactions and get their outputs */
-          const promises = []
+  /* Walks forward from the supplied height a chunk of blocks at a time until
+     we have handed blockCount blocks to onBlock or we run out of blocks */
+  streamBlocks (height, blockCount, chunkSize, fetch, build, onBlock) {
+    const result = {
+      count: 0,
+      lastHeight: height - 1,
+      exhausted: false
+    }
 
-          Object.keys(transactionMap).forEach((hash) => {
-            promises.push(this.getTransactionOutputs(hash, false))
-          })
+    const next = (height) => {
+      const remaining = blockCount - result.count
 
-          return Promise.all(promises)
-        })
-        .then(results => {
-          /* Loop through all the results from the promises */
-          results.forEach((result) => {
-            /* Loop through all the outputs in the result */
-            result.forEach((output) => {
-              transactionMap[output.txnHash].outputs.push({
-                index: output.outputIndex,
-                globalIndex: output.globalIndex,
-                key: output.key,
-                amount: output.amount,
-                type: output.type
-              })
-            })
-          })
-        })
-        .then(() => {
-          /* Now we need to go through our transaction map
-             and toss them on to the response transactions array */
-          Object.keys(transactionMap).forEach((key) => {
-            obj.transactions.push(transactionMap[key])
-          })
-        })
-        .then(() => {
-          /* We need to perform some internal consistency checking */
+      if (remaining <= 0) return Promise.resolve(result)
 
-          /* If we don't have the same number of transactions as we expected
-             from the information in the block data, then we have a problem. */
-          if (block.txnCount !== obj.transactions.length) {
-            return reject(new Error(getError(block.hash, 'Unexpected number of transactions in structure')))
+      return fetch(height, Math.min(remaining, chunkSize))
+        .then(rows => {
+          if (rows.length === 0) {
+            result.exhausted = true
+            return result
           }
 
-          /* Loop through the transactions and verify that we have all
-             of the transactions inputs and outputs and that everything
-             makes sense */
-          for (var i = 0; i < obj.transactions.length; i++) {
-            const txn = obj.transactions[i]
-
-            /* If we have no inputs and no outputs then something went
-               terribly wrong */
-            if (txn.inputs.length === 0 && txn.outputs.length === 0) {
-              return reject(new Error(getError(txn.hash, 'No inputs and no outputs')))
-            }
-
-            /* If this is not a coinbase transaction we do extra checks */
-            if (txn.meta.inputsTotal !== 0) {
-              /* Tally the total amount of our inputs */
-              var inputsTotal = 0
-              txn.inputs.forEach((input) => {
-                inputsTotal += input.amount
-              })
-
-              /* If the total amount of the inputs does not match the meta information,
-                 this is an error */
-              if (inputsTotal !== txn.meta.inputsTotal) {
-                return reject(new Error(getError(txn.hash, 'Inputs total does not match meta information')))
-              }
-            }
+          return build(rows)
+            .then(blocks => {
+              /* The blocks come back in the same order as the rows we fetched */
+              return blocks.reduce((promise, block) => {
+                return promise.then(() => { return onBlock(block) })
+              }, Promise.resolve())
+            })
+            .then(() => {
+              result.count += rows.length
+              result.lastHeight = rows[rows.length - 1].height
 
-            /* Tally the total amount of our outputs */
-            var outputsTotal = 0
-            txn.outputs.forEach((output) => {
-              outputsTotal += output.amount
+              return next(result.lastHeight + 1)
             })
+        })
+    }
 
-            /* If the total amount of the outputs does not match the meta information,
-               this is an error */
-            if (outputsTotal !== txn.meta.outputsTotal) {
-              return reject(new Error(getError(txn.hash, 'Outputs total does not match meta information')))
-            }
+    return next(height)
+  }
 
-            /* If this is not a coinbase transaction we do extra checks */
-            if (txn.meta.inputsTotal !== 0) {
-              /* If the total inputs minus the total outputs does not match the transaction
-                 fee from the meta information, this is an error */
-              if (inputsTotal - outputsTotal !== txn.meta.fee) {
-                return reject(new Error(getError(txn.hash, 'Transaction fee does not match')))
-              }
-            }
+  buildWalletDataBlock (block) {
+    return this.buildWalletDataBlocks([block])
+      .then(blocks => { return blocks[0] })
+  }
 
-            /* Delete the meta information from the transaction information */
-            delete obj.transactions[i].meta
-          }
-        })
-        .then(() => { return this.setCache(cacheName, obj, 60 * 60 * 24) })
-        .then(response => { return resolve(response) })
-        .catch(error => { return reject(error) })
-    })
+  buildWalletDataBlocks (blocks) {
+    return this.buildCachedBlocks(blocks, block => block.blockHash, block => block.blockHash, assembleWalletDataBlock)
   }
 
   buildLegacyWalletDataBlock (block, skipCoinbaseTransactions) {
-    return new Promise((resolve, reject) => {
-      const cacheName = 'legacy' + block.hash
-
-      /* Set up our base object */
-      const obj = {
-        blockHash: block.hash,
-        blockHeight: block.height,
-        blockTimestamp: block.timestamp,
-        coinbaseTX: {},
-        transactions: []
-      }
-
-      const transactionMap = {}
+    return this.buildLegacyWalletDataBlocks([block], skipCoinbaseTransactions)
+      .then(blocks => { return blocks[0] })
+  }
 
-      /* Helper method that's used below */
-      function getError (hash, message) {
-        return util.format('Internal Data Consistency Error [%s]: %s', hash, message)
-      }
+  buildLegacyWalletDataBlocks (blocks, skipCoinbaseTransactions) {
+    return this.buildCachedBlocks(blocks, block => block.hash, block => 'legacy' + block.hash, assembleLegacyWalletDataBlock)
+      .then(results => {
+        /* If we were told to skip coinbase transactions, delete it from
+           the return objects */
+        if (skipCoinbaseTransactions) {
+          results.forEach(result => { delete result.coinbaseTX })
+        }
 
-      this.checkCache(cacheName)
-        .then(cached => { if (cached) return resolve(cached) })
-        .then(() => { return this.getTransactionsByBlock(block.hash) })
-        .then(txns => {
-          txns.forEach((txn) => {
-            if (txn.totalInputsAmount === 0) {
-              obj.coinbaseTX.hash = txn.txnHash
-              obj.coinbaseTX.txPublicKey = txn.publicKey
-              obj.coinbaseTX.unlockTime = txn.unlockTimeString
-              obj.coinbaseTX.outputs = []
-            } else {
-              transactionMap[txn.txnHash] = {
-                hash: txn.txnHash,
-                inputs: [],
-                outputs: [],
-                paymentID: txn.paymentId,
-                txPublicKey: txn.publicKey,
-                unlockTime: txn.unlockTimeString,
-                meta: {
-                  inputsTotal: txn.totalInputsAmount,
-                  outputsTotal: txn.totalOutputsAmount,
-                  fee: txn.fee
-                }
-              }
-            }
-          })
+        return results
+      })
+  }
 
-          return this.getTransactionOutputs(obj.coinbaseTX.hash)
-        })
-        .then(outputs => {
-          /* Loop through the coinbase transaction outputs and populate the object */
-          outputs.forEach((output) => {
-            obj.coinbaseTX.outputs.push({
-              amount: output.amount,
-              key: output.key,
-              globalIndex: output.globalIndex
-            })
-          })
-        })
-        .then(() => {
-          /* Loop through the transactions and get their inputs */
-          const promises = []
+  /* Resolves the supplied blocks from the cache where we can and builds
+     the rest from the transaction data for all of them fetched at once */
+  buildCachedBlocks (blocks, getHash, getCacheName, assemble) {
+    const results = []
+    const missing = []
+
+    return Promise.all(blocks.map(block => { return this.checkCache(getCacheName(block)) }))
+      .then(cached => {
+        for (var i = 0; i < blocks.length; i++) {
+          if (cached[i]) {
+            results[i] = cached[i]
+          } else {
+            missing.push(i)
+          }
+        }
 
-          Object.keys(transactionMap).forEach((hash) => {
-            promises.push(this.getTransactionInputs(hash, false))
-          })
+        return this.getTransactionDataByBlocks(missing.map(idx => { return getHash(blocks[idx]) }))
+      })
+      .then(transactions => {
+        const promises = []
 
-          return Promise.all(promises)
+        /* This throws if the data does not pass the consistency checks
+           in which case we don't cache anything at all */
+        missing.forEach(idx => {
+          results[idx] = assemble(blocks[idx], transactions[getHash(blocks[idx])])
         })
-        .then(results => {
-          /* Loop through all the results from the promises */
-          results.forEach((result) => {
-            /* Loop through all of the inputs in the result */
-            result.forEach((input) => {
-              transactionMap[input.txnHash].inputs.push({
-                amount: input.amount,
-                k_image: input.keyImage
-              })
-            })
-          })
-        })
-        .then(() => {
-          /* Loop through the transactions and get their outputs */
-          const promises = []
-
-          Object.keys(transactionMap).forEach((hash) => {
-            promises.push(this.getTransactionOutputs(hash, false))
-          })
 
-          return Promise.all(promises)
-        })
-        .then(results => {
-          /* Loop through all the results from the promises */
-          results.forEach((result) => {
-            /* Loop through all the outputs in the result */
-            result.forEach((output) => {
-              transactionMap[output.txnHash].outputs.push({
-                amount: output.amount,
-                key: output.key,
-                globalIndex: output.globalIndex
-              })
-            })
-          })
-        })
-        .then(() => {
-          /* Now we need to go through our transaction map
-             and toss them on to the response transactions array */
-          Object.keys(transactionMap).forEach((key) => {
-            obj.transactions.push(transactionMap[key])
-          })
+        missing.forEach(idx => {
+          promises.push(this.setCache(getCacheName(blocks[idx]), results[idx], 60 * 60 * 24))
         })
-        .then(() => {
-          /* We need to perform some internal consistency checking */
 
-          /* If the coinbase transaction has no ouputs, that's a problem */
-          if (obj.coinbaseTX.outputs.length === 0) {
-            return reject(new Error(getError(block.hash, 'Coinbase Transaction Has No Outputs')))
-          }
+        return Promise.all(promises)
+      })
+      .then(() => { return results })
+  }
 
-          /* If we don't have the same number of transactions as we expected
-             from the information in the block data, then we have a problem.
-             We have to add one here because we need to include the coinbase
-             transaction in our count */
-          if (block.txnCount !== obj.transactions.length + 1) {
-            return reject(new Error(getError(block.hash, 'Unexpected number of transactions in structure')))
-          }
+  /* Fetches the transactions, inputs and outputs for all of the supplied
+     blocks using one query for each and resolves the transactions, with
+     their inputs and outputs attached, grouped by block hash */
+  getTransactionDataByBlocks (blockHashes) {
+    const result = {}
+    const transactionMap = {}
 
-          /* Loop through the transactions and verify that we have all
-             of the transactions inputs and outputs and that everything
-             makes sense */
-          for (var i = 0; i < obj.transactions.length; i++) {
-            const txn = obj.transactions[i]
+    blockHashes.forEach(hash => { result[hash] = [] })
 
-            /* If we have no inputs and no outputs then something went
-               terribly wrong */
-            if (txn.inputs.length === 0 && txn.outputs.length === 0) {
-              return reject(new Error(getError(txn.hash, 'No inputs and no outputs')))
-            }
+    if (blockHashes.length === 0) return Promise.resolve(result)
 
-            /* Tally the total amount of our inputs */
-            var inputsTotal = 0
-            txn.inputs.forEach((input) => {
-              inputsTotal += input.amount
-            })
+    const criteria = util.format('IN (%s)', blockHashes.map(() => '?').join(','))
 
-            /* If the total amount of the inputs does not match the meta information,
-               this is an error */
-            if (inputsTotal !== txn.meta.inputsTotal) {
-              return reject(new Error(getError(txn.hash, 'Inputs total does not match meta information')))
-            }
+    return this.query([
+      'SELECT `transactions`.*, CAST(`unlockTime` AS CHAR) AS `unlockTimeString` ',
+      'FROM `transactions` WHERE `blockHash` ', criteria
+    ].join(''), blockHashes)
+      .then(txns => {
+        txns.forEach(txn => {
+          txn.inputs = []
+          txn.outputs = []
+          transactionMap[txn.txnHash] = txn
+          result[txn.blockHash].push(txn)
+        })
 
-            /* Tally the total amount of our outputs */
-            var outputsTotal = 0
-            txn.outputs.forEach((output) => {
-              outputsTotal += output.amount
-            })
+        return this.query([
+          'SELECT `transaction_inputs`.* FROM `transaction_inputs` ',
+          'JOIN `transactions` ON `transactions`.`txnHash` = `transaction_inputs`.`txnHash` ',
+          'WHERE `transactions`.`blockHash` ', criteria, ' ',
+          'ORDER BY `transaction_inputs`.`txnHash`, `transaction_inputs`.`amount`, `transaction_inputs`.`keyImage`'
+        ].join(''), blockHashes)
+      })
+      .then(inputs => {
+        inputs.forEach(input => {
+          input.type = input.type.toString(16).padStart(2, '0')
 
-            /* If the total amount of the outputs does not match the meta information,
-               this is an error */
-            if (outputsTotal !== txn.meta.outputsTotal) {
-              return reject(new Error(getError(txn.hash, 'Outputs total does not match meta information')))
-            }
+          if (transactionMap[input.txnHash]) transactionMap[input.txnHash].inputs.push(input)
+        })
 
-            /* If the total inputs minus the total outputs does not match the transaction
-               fee from the meta information, this is an error */
-            if (inputsTotal - outputsTotal !== txn.meta.fee) {
-              return reject(new Error(getError(txn.hash, 'Transaction fee does not match')))
-            }
+        return this.query([
+          'SELECT `transaction_outputs`.* FROM `transaction_outputs` ',
+          'JOIN `transactions` ON `transactions`.`txnHash` = `transaction_outputs`.`txnHash` ',
+          'WHERE `transactions`.`blockHash` ', criteria, ' ',
+          'ORDER BY `transaction_outputs`.`txnHash`, `transaction_outputs`.`outputIndex`'
+        ].join(''), blockHashes)
+      })
+      .then(outputs => {
+        outputs.forEach(output => {
+          output.type = output.type.toString(16).padStart(2, '0')
 
-            /* Delete the meta information from the transaction information */
-            delete obj.transactions[i].meta
-          }
+          if (transactionMap[output.txnHash]) transactionMap[output.txnHash].outputs.push(output)
         })
-        .then(() => { return this.setCache(cacheName, obj, 60 * 60 * 24) })
-        .then(response => {
-          /* If we were told to skip coinbase transactions, delete it from
-             the return object */
-          if (skipCoinbaseTransactions) {
-            delete response.coinbaseTX
-          }
 
-          return resolve(response)
-        })
-        .catch(error => { return reject(error) })
-    })
+        return result
+      })
   }
 
-  getRandomOutputsForAmounts (amounts, mixin) {
+  getRandomOutputsForAmounts (amounts, mixin, selection) {
     const that = this
 
     if (!Array.isArray(amounts)) throw new Error('You must supply an array of amounts')
     mixin = mixin || 0
     mixin += 1
 
+    selection = selection || {}
+    const useGamma = (selection.mode === 'gamma')
+
     /* Build the criteria of the SQL call to figure out what range
        of outputs we have to work with. We need to dedupe the request
        to avoid SQL errors. We do this by tracking the individual amount
@@ -1323,7 +1597,7 @@ class DatabaseBackend {
     const mixinCounts = {}
     amounts.forEach((amount) => {
       if (dedupedAmounts.indexOf(amount) === -1) {
-        criteria.push(' `amount` = ? ')
+        criteria.push(' `toim`.`amount` = ? ')
         dedupedAmounts.push(amount)
         mixinCounts[amount] = mixin
       } else {
@@ -1334,11 +1608,35 @@ class DatabaseBackend {
 
     /* Go get the maximum globalIndex values for each of the
        amounts we want mixins for */
-    return this.query([
-      'SELECT `amount`, `globalIndex` ',
-      'FROM `transaction_outputs_index_maximums` ',
-      'WHERE ' + criteria
-    ].join(''), dedupedAmounts)
+    const maximumsQuery = [
+      'SELECT `toim`.`amount`, `toim`.`globalIndex` '
+    ]
+
+    /* If we are selecting by age, we also need to know when the first and
+       last outputs of each amount were created so that we can work out
+       the average time between the outputs */
+    if (useGamma) {
+      maximumsQuery.push(
+        ', `bf`.`timestamp` AS `firstTimestamp`, `bl`.`timestamp` AS `lastTimestamp` ',
+        'FROM `transaction_outputs_index_maximums` AS `toim` ',
+        'LEFT JOIN `transaction_outputs` AS `tof` ON `tof`.`amount` = `toim`.`amount` AND `tof`.`globalIndex` = 0 ',
+        'LEFT JOIN `transactions` AS `tf` ON `tf`.`txnHash` = `tof`.`txnHash` ',
+        'LEFT JOIN `blocks` AS `bf` ON `bf`.`hash` = `tf`.`blockHash` ',
+        'LEFT JOIN `transaction_outputs` AS `tol` ON `tol`.`amount` = `toim`.`amount` AND `tol`.`globalIndex` = `toim`.`globalIndex` ',
+        'LEFT JOIN `transactions` AS `tl` ON `tl`.`txnHash` = `tol`.`txnHash` ',
+        'LEFT JOIN `blocks` AS `bl` ON `bl`.`hash` = `tl`.`blockHash` '
+      )
+    } else {
+      maximumsQuery.push('FROM `transaction_outputs_index_maximums` AS `toim` ')
+    }
+
+    maximumsQuery.push('WHERE ' + criteria)
+
+    var topBlock
+
+    return this.getLastBlockHeader()
+      .then(header => { topBlock = header })
+      .then(() => { return this.query(maximumsQuery.join(''), dedupedAmounts) })
       .then(async function (results) {
         /* If we didn't get back as many maximums as the number of
            amounts that we requested, we've got an error */
@@ -1346,18 +1644,11 @@ class DatabaseBackend {
           throw new Error('No prior outputs exist for one of the supplied amounts')
         }
 
-        /* We're going to build this all into one big query to
-           try to speed some of the responses up a little bit */
-        var randomCriteria = []
-        var randomValues = []
-
-        /* Loop through the maximum values that we found and create
-           the new criteria for the query that will go actually get
-           the random outputs that we've selected */
-        for (var i = 0; i < results.length; i++) {
-          const result = results[i]
-          const rnds = []
+        /* Keep track of the outputs that we have tried and the outputs
+           that we have selected for each of the amounts */
+        const states = {}
 
+        results.forEach((result) => {
           /* If the returned maximum value is not as big
              as the requested mixin then we need to short
              circuit and kick back an error */
@@ -1365,37 +1656,120 @@ class DatabaseBackend {
             throw new Error('Not enough mixins available to satisfy the request')
           }
 
-          /* Now we need to take into account the count of the mixins that we need */
-          const dedupedMixin = mixinCounts[result.amount]
+          /* If we are selecting by age, work out the average time between
+             the outputs. If we can't, we'll have to fall back to uniform */
+          var averageOutputTime = 0
+          if (useGamma && result.globalIndex > 0 && result.lastTimestamp > result.firstTimestamp) {
+            averageOutputTime = (result.lastTimestamp - result.firstTimestamp) / result.globalIndex
+          }
+
+          states[result.amount] = {
+            amount: result.amount,
+            maxIndex: result.globalIndex,
+            /* Now we need to take into account the count of the mixins that we need */
+            needed: mixinCounts[result.amount],
+            averageOutputTime: averageOutputTime,
+            /* Selecting by age will keep landing on the same recent outputs when
+               there are only a few of them, so we limit how hard we try before
+               filling the remainder uniformly */
+            gammaAttempts: (averageOutputTime > 0) ? mixinCounts[result.amount] * 100 : 0,
+            tried: [],
+            selected: []
+          }
+        })
+
+        /* Draws a random index for the amount that we have not already tried */
+        async function draw (state) {
+          while (true) {
+            var rand
+
+            if (state.gammaAttempts > 0) {
+              state.gammaAttempts--
+              rand = DecoySelection.gammaIndex(state.maxIndex, state.averageOutputTime, selection.shape, selection.scale)
+              if (rand === false) continue
+            } else {
+              rand = await Random(0, state.maxIndex)
+            }
+
+            if (state.tried.indexOf(rand) === -1) return rand
+          }
+        }
+
+        const chainHeight = topBlock.height + 1
+
+        /* Some of the outputs that we draw will not be spendable yet, so we
+           keep drawing replacements for them until we have enough */
+        for (var round = 0; round < MAX_SELECTION_ROUNDS; round++) {
+          /* We're going to build this all into one big query to
+             try to speed some of the responses up a little bit */
+          var randomCriteria = []
+          var randomValues = []
+
+          const amountKeys = Object.keys(states)
+
+          for (var i = 0; i < amountKeys.length; i++) {
+            const state = states[amountKeys[i]]
+
+            /* We can never draw more than the outputs we have left to try */
+            const count = Math.min(state.needed - state.selected.length, state.maxIndex + 1 - state.tried.length)
 
-          /* We need to loop until we find enough unique
-             random values to satisfy the request */
-          while (rnds.length !== dedupedMixin) {
-            const rand = await Random(0, result.globalIndex)
-            if (rnds.indexOf(rand) === -1) {
-              rnds.push(rand)
+            for (var j = 0; j < count; j++) {
+              const rand = await draw(state)
+
+              state.tried.push(rand)
+              randomCriteria.push(' (`to`.`amount` = ? AND `to`.`globalIndex` = ?) ')
+              randomValues.push(state.amount)
+              randomValues.push(rand)
             }
           }
 
-          /* Loop through the random indexes that we selected and
-             build out our T-SQL statement. Yes, we could have done
-             this in the loop above but we wanted to put this comment
-             here so that others would understand what we're doing */
-          rnds.forEach((rand) => {
-            randomCriteria.push(' (`amount` = ? AND `globalIndex` = ?) ')
-            randomValues.push(result.amount)
-            randomValues.push(rand)
+          /* Either we have everything we need or there is nothing left to try */
+          if (randomCriteria.length === 0) break
+
+          /* Go fetch the actual output information from the database using
+             the criteria from above, and figure out whether each output is
+             still locked by its transaction or by the coinbase maturity window */
+          const rows = await that.query([
+            'SELECT `to`.`amount`, `to`.`globalIndex` AS `global_amount_index`, `to`.`key` AS `out_key`, ',
+            '((`t`.`totalInputsAmount` = 0 AND `b`.`height` + ? > ?) ',
+            'OR (`t`.`unlockTime` < ? AND `t`.`unlockTime` > ?) ',
+            'OR (`t`.`unlockTime` >= ? AND `t`.`unlockTime` > ?)) AS `locked` ',
+            'FROM `transaction_outputs` AS `to` ',
+            'LEFT JOIN `transactions` AS `t` ON `t`.`txnHash` = `to`.`txnHash` ',
+            'LEFT JOIN `blocks` AS `b` ON `b`.`hash` = `t`.`blockHash` ',
+            'WHERE ' + randomCriteria.join(' OR ')
+          ].join(''), [
+            selection.coinbaseMaturity || 0, chainHeight,
+            MAX_BLOCK_NUMBER, chainHeight,
+            MAX_BLOCK_NUMBER, topBlock.timestamp
+          ].concat(randomValues))
+
+          rows.forEach((row) => {
+            if (row.locked !== 0) return
+
+            states[row.amount].selected.push({
+              amount: row.amount,
+              global_amount_index: row.global_amount_index,
+              out_key: row.out_key
+            })
           })
         }
-        randomCriteria = randomCriteria.join(' OR ')
-
-        /* Go fetch the actual output information from the database using
-           the previously created criteria from above */
-        return that.query([
-          'SELECT `amount`, `globalIndex` AS `global_amount_index`, `key` AS `out_key` ',
-          'FROM `transaction_outputs` WHERE ' + randomCriteria + ' ',
-          'ORDER BY `amount` ASC'
-        ].join(''), randomValues)
+
+        const selected = []
+
+        Object.keys(states).forEach((amount) => {
+          const state = states[amount]
+
+          if (state.selected.length < state.needed) {
+            const error = new Error(util.format('Not enough spendable outputs available for amount %s', state.amount))
+            error.code = 'INSUFFICIENT_OUTPUTS'
+            throw error
+          }
+
+          state.selected.forEach(output => selected.push(output))
+        })
+
+        return selected.sort((a, b) => a.amount - b.amount)
       })
       .then(results => {
         const response = []
@@ -1437,14 +1811,188 @@ class DatabaseBackend {
   }
 }
 
-function checkBlockCount (blockCount) {
+/* Lets callers tell the difference between something that does not
+   exist and something that went wrong while we were looking for it */
+function notFound (message) {
+  const error = new Error(message)
+  error.code = 'NOT_FOUND'
+  return error
+}
+
+function poolKeyImageName (keyImage) {
+  return 'poolKeyImage' + keyImage
+}
+
+function checkBlockCount (blockCount, maxBlockCount) {
+  maxBlockCount = maxBlockCount || 100
   blockCount = blockCount || 100
   blockCount = Math.abs(blockCount)
-  blockCount = (blockCount > 100) ? 100 : blockCount
+  blockCount = (blockCount > maxBlockCount) ? maxBlockCount : blockCount
 
   return blockCount
 }
 
+function getConsistencyError (hash, message) {
+  return new Error(util.format('Internal Data Consistency Error [%s]: %s', hash, message))
+}
+
+/* Verifies that we have all of the transactions inputs and outputs
+   and that everything makes sense, then strips the meta information */
+function checkTransactionConsistency (txn) {
+  /* If we have no inputs and no outputs then something went
+     terribly wrong */
+  if (txn.inputs.length === 0 && txn.outputs.length === 0) {
+    throw getConsistencyError(txn.hash, 'No inputs and no outputs')
+  }
+
+  /* Tally the total amount of our inputs */
+  var inputsTotal = 0
+  txn.inputs.forEach((input) => {
+    inputsTotal += input.amount
+  })
+
+  /* If this is not a coinbase transaction and the total amount of the
+     inputs does not match the meta information, this is an error */
+  if (txn.meta.inputsTotal !== 0 && inputsTotal !== txn.meta.inputsTotal) {
+    throw getConsistencyError(txn.hash, 'Inputs total does not match meta information')
+  }
+
+  /* Tally the total amount of our outputs */
+  var outputsTotal = 0
+  txn.outputs.forEach((output) => {
+    outputsTotal += output.amount
+  })
+
+  /* If the total amount of the outputs does not match the meta information,
+     this is an error */
+  if (outputsTotal !== txn.meta.outputsTotal) {
+    throw getConsistencyError(txn.hash, 'Outputs total does not match meta information')
+  }
+
+  /* If this is not a coinbase transaction and the total inputs minus the total
+     outputs does not match the transaction fee from the meta information,
+     this is an error */
+  if (txn.meta.inputsTotal !== 0 && inputsTotal - outputsTotal !== txn.meta.fee) {
+    throw getConsistencyError(txn.hash, 'Transaction fee does not match')
+  }
+
+  /* Delete the meta information from the transaction information */
+  delete txn.meta
+}
+
+function assembleWalletDataBlock (block, transactions) {
+  const obj = {
+    blockHash: block.blockHash,
+    height: block.height,
+    timestamp: block.timestamp,
+    transactions: []
+  }
+
+  transactions.forEach((txn) => {
+    obj.transactions.push({
+      hash: txn.txnHash,
+      publicKey: txn.publicKey,
+      unlockTime: txn.unlockTimeString,
+      paymentId: txn.paymentId,
+      inputs: txn.inputs.map((input) => {
+        return {
+          keyImage: input.keyImage,
+          amount: input.amount,
+          type: input.type
+        }
+      }),
+      outputs: txn.outputs.map((output) => {
+        return {
+          index: output.outputIndex,
+          globalIndex: output.globalIndex,
+          key: output.key,
+          amount: output.amount,
+          type: output.type
+        }
+      }),
+      meta: {
+        inputsTotal: txn.totalInputsAmount,
+        outputsTotal: txn.totalOutputsAmount,
+        fee: txn.fee
+      }
+    })
+  })
+
+  /* If we don't have the same number of transactions as we expected
+     from the information in the block data, then we have a problem. */
+  if (block.txnCount !== obj.transactions.length) {
+    throw getConsistencyError(block.blockHash, 'Unexpected number of transactions in structure')
+  }
+
+  obj.transactions.forEach(txn => checkTransactionConsistency(txn))
+
+  return obj
+}
+
+function assembleLegacyWalletDataBlock (block, transactions) {
+  /* Set up our base object */
+  const obj = {
+    blockHash: block.hash,
+    blockHeight: block.height,
+    blockTimestamp: block.timestamp,
+    coinbaseTX: {},
+    transactions: []
+  }
+
+  function formatOutput (output) {
+    return {
+      amount: output.amount,
+      key: output.key,
+      globalIndex: output.globalIndex
+    }
+  }
+
+  transactions.forEach((txn) => {
+    if (txn.totalInputsAmount === 0) {
+      obj.coinbaseTX.hash = txn.txnHash
+      obj.coinbaseTX.txPublicKey = txn.publicKey
+      obj.coinbaseTX.unlockTime = txn.unlockTimeString
+      obj.coinbaseTX.outputs = txn.outputs.map(formatOutput)
+    } else {
+      obj.transactions.push({
+        hash: txn.txnHash,
+        inputs: txn.inputs.map((input) => {
+          return {
+            amount: input.amount,
+            k_image: input.keyImage
+          }
+        }),
+        outputs: txn.outputs.map(formatOutput),
+        paymentID: txn.paymentId,
+        txPublicKey: txn.publicKey,
+        unlockTime: txn.unlockTimeString,
+        meta: {
+          inputsTotal: txn.totalInputsAmount,
+          outputsTotal: txn.totalOutputsAmount,
+          fee: txn.fee
+        }
+      })
+    }
+  })
+
+  /* If the coinbase transaction has no ouputs, that's a problem */
+  if (!obj.coinbaseTX.outputs || obj.coinbaseTX.outputs.length === 0) {
+    throw getConsistencyError(block.hash, 'Coinbase Transaction Has No Outputs')
+  }
+
+  /* If we don't have the same number of transactions as we expected
+     from the information in the block data, then we have a problem.
+     We have to add one here because we need to include the coinbase
+     transaction in our count */
+  if (block.txnCount !== obj.transactions.length + 1) {
+    throw getConsistencyError(block.hash, 'Unexpected number of transactions in structure')
+  }
+
+  obj.transactions.forEach(txn => checkTransactionConsistency(txn))
+
+  return obj
+}
+
 /* Relatively lightweight queries */
 
 module.exports = DatabaseBackend
@@ -0,0 +1,59 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Crypto = require('crypto')
+
+class DecoySelection {
+  /* Returns a cryptographically secure random number in the range [0, 1) */
+  static uniform () {
+    return Crypto.randomBytes(6).readUIntBE(0, 6) / Math.pow(2, 48)
+  }
+
+  /* Returns a standard normally distributed random number (Box-Muller) */
+  static normal () {
+    var u = 0
+    while (u === 0) u = DecoySelection.uniform()
+    const v = DecoySelection.uniform()
+
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+  }
+
+  /* Returns a gamma distributed random number using the method
+     described by Marsaglia and Tsang (shape must be >= 1) */
+  static gamma (shape, scale) {
+    const d = shape - 1 / 3
+    const c = 1 / Math.sqrt(9 * d)
+
+    while (true) {
+      var x, v
+
+      do {
+        x = DecoySelection.normal()
+        v = 1 + c * x
+      } while (v <= 0)
+
+      v = v * v * v
+      const u = DecoySelection.uniform()
+
+      if (u < 1 - 0.0331 * Math.pow(x, 4)) return d * v * scale
+      if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v * scale
+    }
+  }
+
+  /* Picks a global index for an amount by drawing an output age (in seconds)
+     from a gamma distribution over the log of the age, and mapping that
+     age on to the outputs using the average time between outputs.
+     Returns false if the drawn age falls before the first output */
+  static gammaIndex (maxIndex, averageOutputTime, shape, scale) {
+    const age = Math.exp(DecoySelection.gamma(shape, scale))
+
+    const index = maxIndex - Math.floor(age / averageOutputTime)
+
+    return (index >= 0) ? index : false
+  }
+}
+
+module.exports = DecoySelection
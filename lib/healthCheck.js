@@ -0,0 +1,147 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+class HealthCheck {
+  constructor (database, rabbit, opts) {
+    if (!database) throw new Error('Must supply a database backend')
+    if (!rabbit) throw new Error('Must supply a RabbitMQ helper')
+
+    opts = opts || {}
+
+    this.database = database
+    this.rabbit = rabbit
+    this.maxBlockAge = opts.maxBlockAge || 600
+    this.maxHeightLag = opts.maxHeightLag || 5
+    this.timeout = opts.timeout || 2500
+    this.relay = opts.relay || false
+
+    this.checks = {
+      database: () => this.checkDatabase(),
+      redis: () => this.checkRedis(),
+      rabbit: () => this.checkRabbit(),
+      chain: () => this.checkChain()
+    }
+
+    if (this.relay) this.checks.relay = () => this.checkRelay()
+  }
+
+  /* Runs the requested checks (or all of them) and resolves a report
+     where the overall status is only ok if every check is ok */
+  run (names) {
+    names = names || Object.keys(this.checks)
+
+    const report = {
+      status: 'ok',
+      checks: {}
+    }
+
+    return Promise.all(names.map(name => {
+      /* A check that throws instead of rejecting still counts as a failure */
+      const check = Promise.resolve()
+        .then(() => {
+          if (!this.checks[name]) throw new Error('Unknown health check: ' + name)
+
+          return this.checks[name]()
+        })
+
+      return withTimeout(check, this.timeout)
+        .catch(error => { return { status: 'error', message: error.message } })
+        .then(result => {
+          report.checks[name] = result
+          if (result.status !== 'ok') report.status = 'error'
+        })
+    }))
+      .then(() => { return report })
+  }
+
+  checkDatabase () {
+    return this.database.query('SELECT 1')
+      .then(() => { return { status: 'ok' } })
+  }
+
+  checkRedis () {
+    /* If we are not using the cache then there's nothing to break */
+    if (!this.database.cache) return Promise.resolve({ status: 'ok', enabled: false })
+
+    return this.database.cache.ping()
+      .then(() => { return { status: 'ok', enabled: true } })
+  }
+
+  checkRabbit () {
+    if (!this.rabbit.connected) {
+      return Promise.resolve({ status: 'error', message: 'Not connected to RabbitMQ server' })
+    }
+
+    return Promise.resolve({ status: 'ok' })
+  }
+
+  checkRelay () {
+    const circuits = this.relay.status()
+
+    const open = Object.keys(circuits).filter(queue => circuits[queue].state !== 'closed')
+
+    /* An open circuit means that the relay is shedding load on purpose and
+       the rest of the API still works, so we report it but keep serving */
+    const result = {
+      status: 'ok',
+      circuits: circuits,
+      open: open
+    }
+
+    if (open.length !== 0) result.message = 'Circuit open for ' + open.join(', ')
+
+    return Promise.resolve(result)
+  }
+
+  checkChain () {
+    const result = {
+      status: 'ok'
+    }
+
+    return this.database.getLastBlockHeader()
+      .then(header => {
+        result.height = header.height
+        result.blockAge = Math.floor(Date.now() / 1000) - header.timestamp
+
+        return this.database.getInfo()
+      })
+      .then(info => {
+        /* The daemons report the height they are looking for, not the last block found */
+        result.networkHeight = info.network_height - 1
+        result.heightLag = result.networkHeight - result.height
+
+        if (result.blockAge > this.maxBlockAge) {
+          result.status = 'error'
+          result.message = 'Top block is older than ' + this.maxBlockAge + ' seconds'
+        } else if (result.heightLag > this.maxHeightLag) {
+          result.status = 'error'
+          result.message = 'Cache is more than ' + this.maxHeightLag + ' blocks behind the network'
+        }
+
+        return result
+      })
+  }
+}
+
+function withTimeout (promise, timeout) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      return reject(new Error('Check did not complete within ' + timeout + 'ms'))
+    }, timeout)
+
+    promise
+      .then(result => {
+        clearTimeout(timer)
+        return resolve(result)
+      })
+      .catch(error => {
+        clearTimeout(timer)
+        return reject(error)
+      })
+  })
+}
+
+module.exports = HealthCheck
@@ -5,11 +5,70 @@
 'use strict'
 
 const Logger = require('./logger')
+const RequestContext = require('./requestContext')
 const util = require('util')
 
 class Helpers {
+  /* Returns true if the client asked for a newline delimited JSON stream */
+  static acceptsNDJSON (request) {
+    return (request.accepts(['application/json', 'application/x-ndjson']) === 'application/x-ndjson')
+  }
+
+  /* Sets up the response to stream records to the client as newline
+     delimited JSON. The response headers are not sent until the first
+     record is written so that the caller can still respond with an error
+     status if something goes wrong before then. Each write resolves once
+     the client is ready for more and rejects if the client went away */
+  static ndjsonWriter (res) {
+    var closed = false
+
+    res.on('close', () => { closed = true })
+
+    const writer = {
+      started: false,
+      write: (record) => {
+        return new Promise((resolve, reject) => {
+          if (closed) return reject(new Error('Client closed the connection'))
+
+          if (!writer.started) {
+            writer.started = true
+            res.status(200)
+            res.header('Content-Type', 'application/x-ndjson')
+            res.header('X-Accel-Buffering', 'no')
+          }
+
+          const ready = res.write(JSON.stringify(record) + '\n')
+
+          /* If compression is active, we need to push the data out ourselves */
+          if (res.flush) res.flush()
+
+          if (ready) return resolve()
+
+          function done () {
+            res.removeListener('drain', done)
+            res.removeListener('close', done)
+            return resolve()
+          }
+
+          res.on('drain', done)
+          res.on('close', done)
+        })
+      },
+      end: (record) => {
+        if (closed) return
+
+        return writer.write(record)
+          .then(() => { res.end() })
+          .catch(() => {})
+      }
+    }
+
+    return writer
+  }
+
+  /* The client address is resolved once per request by the ClientIpResolver */
   static requestIp (request) {
-    return request.header('x-forwarded-for') || request.ip
+    return request.clientIp || request.ip
   }
 
   static requestUserAgent (request) {
@@ -17,6 +76,10 @@ class Helpers {
     return agent.split(' ', 1).join(' ')
   }
 
+  static serverSentEvent (event) {
+    return util.format('id: %s\nevent: %s\ndata: %s\n\n', event.id, event.type, JSON.stringify(event.data))
+  }
+
   static toNumber (term) {
     if (typeof term === 'number') {
       return term
@@ -35,6 +98,12 @@ class Helpers {
       time = params
       params = ''
     }
+    /* In JSON mode the request is logged once, when the response is finished */
+    const context = RequestContext.current()
+    if (Logger.json && context) {
+      context.params = params
+      return
+    }
     if (Array.isArray(time) && time.length === 2) {
       time = util.format('%s.%s', time[0], time[1])
       time = parseFloat(time)
@@ -47,6 +116,11 @@ class Helpers {
   }
 
   static logHTTPError (req, message, time) {
+    const context = RequestContext.current()
+    if (Logger.json && context) {
+      context.error = (message || 'Parsing error').toString()
+      return
+    }
     if (Array.isArray(time) && time.length === 2) {
       time = util.format('%s.%s', time[0], time[1])
       time = parseFloat(time)
@@ -58,6 +132,28 @@ class Helpers {
     message = message || 'Parsing error'
     Logger.error('[REQUEST]%s [%s] (%s) %s: %s', time, Helpers.requestIp(req).padStart(15, ' '), Helpers.requestUserAgent(req), req.path, message)
   }
+
+  /* Writes the JSON log entry for a request that we are done with */
+  static logHTTPSummary (req, res, context, time) {
+    const fields = {
+      requestId: context.requestId,
+      ip: Helpers.requestIp(req),
+      userAgent: Helpers.requestUserAgent(req),
+      method: req.method,
+      route: (req.route) ? req.route.path : 'unmatched',
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Math.round((time[0] * 1e3 + time[1] / 1e6) * 1000) / 1000,
+      dbQueries: context.dbQueries,
+      cacheHits: context.cacheHits
+    }
+
+    if (context.params) fields.params = context.params
+
+    if (context.error) return Logger.write('error', context.error, fields)
+
+    return Logger.write('info', 'Request complete', fields)
+  }
 }
 
 module.exports = Helpers
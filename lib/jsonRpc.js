@@ -0,0 +1,342 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const CoinUtils = new (require('chimera-utils').CryptoNote)()
+const isHex = require('is-hex')
+
+/* Standard JSON-RPC 2.0 error codes */
+const ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  /* Implementation defined, for methods that the caller may not use */
+  FORBIDDEN: -32001,
+  /* The daemon's own codes for asking about something that it doesn't have */
+  WRONG_PARAM: -1,
+  TOO_BIG_HEIGHT: -2
+}
+
+/* The methods that do the same thing as one of our REST routes, so that
+   whoever is allowed to use the route is allowed to use the method */
+const METHOD_ROUTES = {
+  getblocktemplate: { method: 'POST', path: '/block/template' },
+  submitblock: { method: 'POST', path: '/block' }
+}
+
+class JsonRpc {
+  constructor (database, relayRouter) {
+    if (!database) throw new Error('Must supply a database backend')
+    if (!relayRouter) throw new Error('Must supply a relay router')
+
+    this.database = database
+    this.relayRouter = relayRouter
+
+    this.methods = {
+      getblockcount: params => this.getBlockCount(params),
+      on_getblockhash: params => this.getBlockHash(params),
+      getlastblockheader: params => this.getLastBlockHeader(params),
+      getblockheaderbyhash: params => this.getBlockHeaderByHash(params),
+      getblockheaderbyheight: params => this.getBlockHeaderByHeight(params),
+      getblocktemplate: params => this.getBlockTemplate(params),
+      submitblock: params => this.submitBlock(params),
+      f_block_json: params => this.getBlockJson(params),
+      f_transaction_json: params => this.getTransactionJson(params),
+      f_on_transactions_pool_json: params => this.getTransactionPoolJson(params)
+    }
+  }
+
+  static get errors () {
+    return ERRORS
+  }
+
+  static get methodRoutes () {
+    return METHOD_ROUTES
+  }
+
+  static errorResponse (id, code, message) {
+    return {
+      jsonrpc: '2.0',
+      id: (typeof id === 'undefined') ? null : id,
+      error: {
+        code: code,
+        message: message
+      }
+    }
+  }
+
+  /* Handles a single request object and resolves the response object, or
+     false if the request was a notification that does not get a response.
+     If given, canCall decides whether the caller may use the method */
+  handle (request, canCall) {
+    if (typeof request !== 'object' || request === null || Array.isArray(request) ||
+      typeof request.method !== 'string') {
+      return Promise.resolve(JsonRpc.errorResponse(null, ERRORS.INVALID_REQUEST, 'Invalid Request'))
+    }
+
+    const id = request.id
+    const isNotification = (typeof id === 'undefined')
+    const method = this.methods[request.method]
+
+    if (!method) {
+      if (isNotification) return Promise.resolve(false)
+      return Promise.resolve(JsonRpc.errorResponse(id, ERRORS.METHOD_NOT_FOUND, 'Method not found'))
+    }
+
+    if (canCall && !canCall(request.method)) {
+      if (isNotification) return Promise.resolve(false)
+      return Promise.resolve(JsonRpc.errorResponse(id, ERRORS.FORBIDDEN, 'Method not available'))
+    }
+
+    return Promise.resolve()
+      .then(() => { return method(request.params || {}) })
+      .then(result => {
+        if (isNotification) return false
+
+        return {
+          jsonrpc: '2.0',
+          id: id,
+          result: result
+        }
+      })
+      .catch(error => {
+        if (isNotification) return false
+
+        /* Only the errors that we raised ourselves are fit for the client to see */
+        if (typeof error.code === 'number') return JsonRpc.errorResponse(id, error.code, error.message)
+
+        /* Asking for something that doesn't exist is the caller's problem, not ours */
+        if (error.code === 'NOT_FOUND') return JsonRpc.errorResponse(id, ERRORS.WRONG_PARAM, error.message)
+
+        return JsonRpc.errorResponse(id, ERRORS.INTERNAL_ERROR, 'Internal error')
+      })
+  }
+
+  getBlockCount () {
+    return this.database.getBlockCount()
+      .then(count => {
+        return {
+          count: count,
+          status: 'OK'
+        }
+      })
+  }
+
+  getBlockHash (params) {
+    const height = (Array.isArray(params)) ? params[0] : false
+
+    if (typeof height !== 'number' || height < 0) {
+      return Promise.reject(rpcError(ERRORS.INVALID_PARAMS, 'Expected an array containing a block height'))
+    }
+
+    return this.database.getBlockHash(height)
+      .catch(error => { throw heightError(error, height) })
+  }
+
+  getLastBlockHeader () {
+    return this.database.getLastBlockHeader()
+      .then(header => {
+        return {
+          block_header: formatBlockHeader(header),
+          status: 'OK'
+        }
+      })
+  }
+
+  getBlockHeaderByHash (params) {
+    if (!isHash(params.hash)) {
+      return Promise.reject(rpcError(ERRORS.INVALID_PARAMS, 'Block hash is not in a valid format'))
+    }
+
+    return this.database.getBlockHeaderByHash(params.hash)
+      .then(header => {
+        return {
+          block_header: formatBlockHeader(header),
+          status: 'OK'
+        }
+      })
+  }
+
+  getBlockHeaderByHeight (params) {
+    if (typeof params.height !== 'number' || params.height < 0) {
+      return Promise.reject(rpcError(ERRORS.INVALID_PARAMS, 'Block height is not a valid number'))
+    }
+
+    return this.database.getBlockHeaderByHeight(params.height)
+      .catch(error => { throw heightError(error, params.height) })
+      .then(header => {
+        return {
+          block_header: formatBlockHeader(header),
+          status: 'OK'
+        }
+      })
+  }
+
+  getBlockTemplate (params) {
+    const reserveSize = params.reserve_size
+
+    if (typeof reserveSize !== 'number' || reserveSize < 0 || reserveSize > 255) {
+      return Promise.reject(rpcError(ERRORS.INVALID_PARAMS, 'reserve_size out of range'))
+    }
+
+    if (typeof params.wallet_address !== 'string' || params.wallet_address.length === 0) {
+      return Promise.reject(rpcError(ERRORS.INVALID_PARAMS, 'Missing wallet_address value'))
+    }
+
+    try {
+      CoinUtils.decodeAddress(params.wallet_address)
+    } catch (e) {
+      return Promise.reject(rpcError(ERRORS.INVALID_PARAMS, 'Invalid address supplied'))
+    }
+
+    return this.relay('blockTemplate', {
+      walletAddress: params.wallet_address,
+      reserveSize: reserveSize
+    }, 5000)
+      .then(response => {
+        return {
+          blocktemplate_blob: response.blocktemplate_blob,
+          difficulty: response.difficulty,
+          height: response.height,
+          reserved_offset: response.reserved_offset,
+          status: 'OK'
+        }
+      })
+  }
+
+  submitBlock (params) {
+    const blockBlob = (Array.isArray(params)) ? params[0] : false
+
+    if (typeof blockBlob !== 'string' || !isHex(blockBlob)) {
+      return Promise.reject(rpcError(ERRORS.INVALID_PARAMS, 'Invalid block blob format'))
+    }
+
+    return this.relay('block', {
+      blockBlob: blockBlob
+    }, 5000)
+      .then(() => {
+        return {
+          status: 'OK'
+        }
+      })
+  }
+
+  getBlockJson (params) {
+    if (!isHash(params.hash)) {
+      return Promise.reject(rpcError(ERRORS.INVALID_PARAMS, 'Block hash is not in a valid format'))
+    }
+
+    return this.database.getBlock(params.hash)
+      .then(block => {
+        const result = formatBlockHeader(block)
+
+        result.transactions = block.transactions.map(txn => {
+          return {
+            amount_out: txn.amount_out,
+            fee: txn.fee,
+            hash: txn.hash,
+            size: txn.size
+          }
+        })
+
+        return {
+          block: result,
+          status: 'OK'
+        }
+      })
+  }
+
+  getTransactionJson (params) {
+    if (!isHash(params.hash)) {
+      return Promise.reject(rpcError(ERRORS.INVALID_PARAMS, 'Transaction hash is not in a valid format'))
+    }
+
+    return this.database.getTransaction(params.hash)
+      .then(transaction => {
+        return {
+          block: transaction.block,
+          status: 'OK',
+          tx: transaction.tx,
+          txDetails: {
+            amount_out: transaction.tx.amount_out,
+            fee: transaction.tx.fee,
+            hash: transaction.tx.hash,
+            mixin: transaction.tx.mixin,
+            paymentId: transaction.tx.paymentId,
+            size: transaction.tx.size
+          }
+        }
+      })
+  }
+
+  getTransactionPoolJson () {
+    return this.database.getTransactionPool()
+      .then(transactions => {
+        return {
+          transactions: transactions.map(txn => {
+            return {
+              amount_out: txn.amount,
+              fee: txn.fee,
+              hash: txn.txnHash,
+              size: txn.size
+            }
+          }),
+          status: 'OK'
+        }
+      })
+  }
+
+  relay (type, payload, timeout) {
+    return this.relayRouter.request(type, payload, timeout)
+      .catch(() => { throw rpcError(ERRORS.INTERNAL_ERROR, 'Could not complete request with relay agent') })
+      .then(result => {
+        const response = result.response
+
+        if (response.error) throw rpcError(ERRORS.INTERNAL_ERROR, response.error)
+
+        return response
+      })
+  }
+}
+
+/* The daemon tells callers that ask for a block above the top of the chain
+   that the height is too big, so we do the same */
+function heightError (error, height) {
+  if (error.code !== 'NOT_FOUND') return error
+
+  return rpcError(ERRORS.TOO_BIG_HEIGHT, 'Block height ' + height + ' is above the top of the chain')
+}
+
+function formatBlockHeader (header) {
+  return {
+    block_size: header.size,
+    depth: header.depth,
+    difficulty: header.difficulty,
+    hash: header.hash,
+    height: header.height,
+    major_version: header.majorVersion,
+    minor_version: header.minorVersion,
+    nonce: header.nonce,
+    num_txes: header.transactionCount,
+    orphan_status: false,
+    prev_hash: header.prevHash,
+    reward: header.reward,
+    timestamp: header.timestamp
+  }
+}
+
+function isHash (value) {
+  return (typeof value === 'string' && value.length === 64 && isHex(value))
+}
+
+function rpcError (code, message) {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+module.exports = JsonRpc
@@ -5,33 +5,100 @@
 'use strict'
 
 require('colors')
+const RequestContext = require('./requestContext')
 const util = require('util')
 
+const LEVELS = {
+  debug: 0,
+  info: 1,
+  warning: 2,
+  error: 3
+}
+
+/* Matches the escape sequences that color our text output */
+const ANSI_COLORS = new RegExp(String.fromCharCode(27) + '\\[[0-9;]*m', 'g')
+
+const settings = {
+  json: false,
+  level: LEVELS.debug
+}
+
 class Logger {
+  /* Switches between the colorized text output and one JSON object per
+     line, and sets the least important level that we bother to write */
+  static configure (opts) {
+    opts = opts || {}
+
+    if (opts.format) settings.json = (opts.format === 'json')
+
+    if (opts.level) {
+      if (typeof LEVELS[opts.level] === 'undefined') throw new Error('Unknown log level: ' + opts.level)
+
+      settings.level = LEVELS[opts.level]
+    }
+  }
+
+  static get json () {
+    return settings.json
+  }
+
   static debug () {
+    if (!enabled('debug')) return
+
     const message = createMessage(arguments)
+    if (settings.json) return Logger.write('debug', message)
     return log(util.format('[DEBUG] %s', message).blue)
   }
 
   static error () {
+    if (!enabled('error')) return
+
     const message = createMessage(arguments)
+    if (settings.json) return Logger.write('error', message)
     return log(util.format('[ERROR] %s', message).red)
   }
 
   static info () {
+    if (!enabled('info')) return
+
     const message = createMessage(arguments)
+    if (settings.json) return Logger.write('info', message)
     return log(util.format('[INFO] %s', message).green)
   }
 
   static log () {
+    if (!enabled('info')) return
+
     const message = createMessage(arguments)
+    if (settings.json) return Logger.write('info', message)
     return log(message)
   }
 
   static warning () {
+    if (!enabled('warning')) return
+
     const message = createMessage(arguments)
+    if (settings.json) return Logger.write('warning', message)
     return log(util.format('[WARNING] %s', message).yellow)
   }
+
+  /* Writes a single JSON log entry with any extra fields that we were given */
+  static write (level, message, fields) {
+    if (!enabled(level)) return
+
+    const entry = {
+      timestamp: (new Date()).toISOString(),
+      level: level,
+      requestId: RequestContext.requestId || undefined,
+      message: message.replace(ANSI_COLORS, '')
+    }
+
+    console.log(JSON.stringify(Object.assign(entry, fields)))
+  }
+}
+
+function enabled (level) {
+  return (LEVELS[level] >= settings.level)
 }
 
 function createMessage (entry) {
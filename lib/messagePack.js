@@ -0,0 +1,67 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const MsgPack = require('@msgpack/msgpack')
+
+/* Hashes, keys, and key images are sent as their raw 32 bytes using this
+   extension type. Clients that register the same extension type and turn
+   the bytes back into lowercase hex get exactly the structure that the
+   JSON responses carry */
+const HASH_EXTENSION_TYPE = 1
+
+const extensionCodec = new MsgPack.ExtensionCodec()
+
+extensionCodec.register({
+  type: HASH_EXTENSION_TYPE,
+  encode: (value) => {
+    if (typeof value !== 'string' || !/^[0-9a-f]{64}$/.test(value)) return null
+
+    return Buffer.from(value, 'hex')
+  },
+  decode: (data) => {
+    return Buffer.from(data).toString('hex')
+  }
+})
+
+class MessagePack {
+  static get contentType () {
+    return 'application/msgpack'
+  }
+
+  static get hashExtensionType () {
+    return HASH_EXTENSION_TYPE
+  }
+
+  /* Returns true if the client prefers MessagePack over JSON */
+  static accepts (request) {
+    const preferred = request.accepts(['application/json', MessagePack.contentType, 'application/x-msgpack'])
+
+    return (preferred === MessagePack.contentType || preferred === 'application/x-msgpack')
+  }
+
+  static encode (value) {
+    const encoded = MsgPack.encode(value, { extensionCodec: extensionCodec, ignoreUndefined: true })
+
+    return Buffer.from(encoded.buffer, encoded.byteOffset, encoded.byteLength)
+  }
+
+  static decode (buffer) {
+    return MsgPack.decode(buffer, { extensionCodec: extensionCodec })
+  }
+
+  /* Sends the body as MessagePack if the client asked for it, otherwise as JSON */
+  static send (req, res, body) {
+    res.vary('Accept')
+
+    if (!MessagePack.accepts(req)) return res.json(body)
+
+    res.header('Content-Type', MessagePack.contentType)
+
+    return res.send(MessagePack.encode(body))
+  }
+}
+
+module.exports = MessagePack
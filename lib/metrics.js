@@ -0,0 +1,169 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Prometheus = require('prom-client')
+
+const registry = new Prometheus.Registry()
+
+Prometheus.collectDefaultMetrics({ register: registry })
+
+const httpRequests = new Prometheus.Counter({
+  name: 'http_requests_total',
+  help: 'Count of HTTP requests handled',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+})
+
+const httpRequestDuration = new Prometheus.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency in seconds',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry]
+})
+
+const databaseQueryDuration = new Prometheus.Histogram({
+  name: 'database_query_duration_seconds',
+  help: 'Database query latency in seconds',
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [registry]
+})
+
+const databaseQueryErrors = new Prometheus.Counter({
+  name: 'database_query_errors_total',
+  help: 'Count of database queries that failed',
+  registers: [registry]
+})
+
+const cacheLookups = new Prometheus.Counter({
+  name: 'cache_lookups_total',
+  help: 'Count of cache lookups by result',
+  labelNames: ['result'],
+  registers: [registry]
+})
+
+const rabbitRequestDuration = new Prometheus.Histogram({
+  name: 'rabbit_request_duration_seconds',
+  help: 'RabbitMQ request/reply latency in seconds',
+  labelNames: ['queue'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry]
+})
+
+const rabbitRequestTimeouts = new Prometheus.Counter({
+  name: 'rabbit_request_timeouts_total',
+  help: 'Count of RabbitMQ request/reply calls that timed out',
+  labelNames: ['queue'],
+  registers: [registry]
+})
+
+const relayRequests = new Prometheus.Counter({
+  name: 'relay_requests_total',
+  help: 'Count of relay agent requests by message type, queue, and result',
+  labelNames: ['type', 'queue', 'result'],
+  registers: [registry]
+})
+
+const rateLimitedRequests = new Prometheus.Counter({
+  name: 'rate_limited_requests_total',
+  help: 'Count of HTTP requests rejected by the rate limiter by budget',
+  labelNames: ['budget'],
+  registers: [registry]
+})
+
+const blockedRequests = new Prometheus.Counter({
+  name: 'blocked_requests_total',
+  help: 'Count of HTTP requests rejected by the access list by range',
+  labelNames: ['range'],
+  registers: [registry]
+})
+
+const apiKeyRequests = new Prometheus.Counter({
+  name: 'api_key_requests_total',
+  help: 'Count of HTTP requests made with an API key by key and tier',
+  labelNames: ['key', 'tier'],
+  registers: [registry]
+})
+
+const chainHeight = new Prometheus.Gauge({
+  name: 'chain_top_block_height',
+  help: 'Height of the top block in the cache',
+  registers: [registry]
+})
+
+const chainAge = new Prometheus.Gauge({
+  name: 'chain_top_block_age_seconds',
+  help: 'Seconds since the timestamp of the top block in the cache',
+  registers: [registry]
+})
+
+const poolSize = new Prometheus.Gauge({
+  name: 'transaction_pool_size',
+  help: 'Count of transactions in the transaction pool',
+  registers: [registry]
+})
+
+class Metrics {
+  static get contentType () {
+    return registry.contentType
+  }
+
+  static metrics () {
+    return registry.metrics()
+  }
+
+  static observeHTTPRequest (method, route, status, duration) {
+    httpRequests.inc({ method: method, route: route, status: status })
+    httpRequestDuration.observe({ method: method, route: route, status: status }, duration)
+  }
+
+  static observeQuery (duration, error) {
+    databaseQueryDuration.observe(duration)
+    if (error) databaseQueryErrors.inc()
+  }
+
+  static observeCache (hit) {
+    cacheLookups.inc({ result: (hit) ? 'hit' : 'miss' })
+  }
+
+  static observeRabbitRequest (queue, duration, timedOut) {
+    rabbitRequestDuration.observe({ queue: queue }, duration)
+    if (timedOut) rabbitRequestTimeouts.inc({ queue: queue })
+  }
+
+  static observeRelayRequest (type, queue, result) {
+    relayRequests.inc({ type: type, queue: queue, result: result })
+  }
+
+  static observeRateLimited (budget) {
+    rateLimitedRequests.inc({ budget: budget })
+  }
+
+  static observeBlockedRequest (range) {
+    blockedRequests.inc({ range: range })
+  }
+
+  static observeApiKeyRequest (key, tier) {
+    apiKeyRequests.inc({ key: key, tier: tier })
+  }
+
+  static setChainState (header, poolCount) {
+    if (header) {
+      chainHeight.set(header.height)
+      chainAge.set(Math.floor(Date.now() / 1000) - header.timestamp)
+    }
+
+    if (typeof poolCount === 'number') {
+      poolSize.set(poolCount)
+    }
+  }
+
+  static toSeconds (time) {
+    return time[0] + time[1] / 1e9
+  }
+}
+
+module.exports = Metrics
@@ -5,58 +5,164 @@
 'use strict'
 
 const EventEmitter = require('events')
+const Metrics = require('./metrics')
 const RabbitMQ = require('amqplib')
+const RequestContext = require('./requestContext')
 const UUID = require('uuid/v4')
 
 class Rabbit extends EventEmitter {
-  constructor (host, username, pass, autoReconnect) {
-    autoReconnect = autoReconnect || true
+  constructor (host, username, pass, autoReconnect, opts) {
+    autoReconnect = (typeof autoReconnect === 'undefined') ? true : autoReconnect
     if (!host) throw new Error('Must supply a host to connect to')
     super()
 
+    opts = opts || {}
+
     this.connectionString = buildConnectionString(host, username, pass)
     this.replyQueue = UUID().toString().replace(/-/g, '')
+    this.autoReconnect = autoReconnect
+    this.minReconnectDelay = opts.minReconnectDelay || 1000
+    this.maxReconnectDelay = opts.maxReconnectDelay || 60000
+    this.reconnectDelay = this.minReconnectDelay
+    this.connected = false
+
+    /* Requests that are waiting on a reply, keyed by correlation ID */
+    this.pending = new Map()
+
+    /* The queues and consumers that we need to set up again
+       if we have to reconnect to the server */
+    this.queues = new Map()
+    this.consumers = new Map()
+
+    this.on('disconnect', (error) => {
+      if (!this.connected) return
+      this.connected = false
+      this.channel = null
+
+      /* Make sure that we do not leave a half-open connection behind */
+      if (this.connection) {
+        this.connection.close().catch(() => {})
+        this.connection = null
+      }
 
-    if (autoReconnect) {
-      this.on('disconnect', (error) => {
-        this.emit('log', 'Error: ' + error.toString())
-        this.emit('log', 'Reconnecting to server...')
-        this.connect().catch((error) => {
-          this.emit('log', 'Could not reconnect to server:' + error.toString())
-        })
-      })
-    }
+      this.emit('log', 'Error: ' + ((error) ? error.toString() : 'Connection closed'))
+
+      /* Nobody is going to answer the requests that are in flight now */
+      this.rejectPending(new Error('Lost connection to RabbitMQ server'))
+
+      if (this.autoReconnect) this.reconnect()
+    })
   }
 
   ack (message) {
     return this.channel.ack(message)
   }
 
+  /* Stops waiting on a reply to the request, if we still are */
+  cancel (requestId) {
+    const request = this.pending.get(requestId)
+
+    if (!request) return false
+
+    this.pending.delete(requestId)
+    clearTimeout(request.timer)
+
+    const error = new Error('Request cancelled')
+    error.code = 'ECANCELED'
+
+    request.reject(error)
+
+    return true
+  }
+
   connect () {
     return RabbitMQ.connect(this.connectionString)
       .then((connection) => {
-        connection.on('disconnect', (error) => this.emit('disconnect', error))
+        connection.on('error', (error) => this.emit('disconnect', error))
+        connection.on('close', (error) => this.emit('disconnect', error))
+        this.connection = connection
 
         return connection.createChannel()
       })
       .then((channel) => {
-        channel.on('disconnect', error => this.emit('disconnect', error))
+        channel.on('error', error => this.emit('disconnect', error))
+        channel.on('close', error => this.emit('disconnect', error))
         this.channel = channel
 
         return this.createQueue(this.replyQueue, false, true)
       })
-      .then(() => { this.emit('connect') })
+      .then(() => {
+        /* Re-assert any queues that we created on a prior connection */
+        const promises = []
+
+        this.queues.forEach((options, queue) => {
+          if (queue !== this.replyQueue) promises.push(this.channel.assertQueue(queue, options))
+        })
+
+        return Promise.all(promises)
+      })
+      .then(() => {
+        /* One long-lived consumer handles every reply that comes back to us */
+        return this.channel.consume(this.replyQueue, (message) => this.handleReply(message))
+      })
+      .then(() => {
+        this.consumers.forEach((prefetch, queue) => this.consume(queue, prefetch))
+
+        this.connected = true
+        this.reconnectDelay = this.minReconnectDelay
+        this.emit('connect')
+      })
   }
 
-  createQueue (queue, durable, exclusive) {
-    durable = durable || true
+  consume (queue, prefetch) {
+    if (prefetch) {
+      this.prefetch(prefetch)
+    }
 
-    return this.channel.assertQueue(queue, {
-      durable: durable,
-      exclusive: exclusive || false
+    return this.channel.consume(queue, (message) => {
+      if (message !== null) {
+        const payload = JSON.parse(message.content.toString())
+
+        this.emit('message', queue, message, payload)
+      }
     })
   }
 
+  createQueue (queue, durable, exclusive) {
+    const options = {
+      durable: (typeof durable === 'undefined') ? true : durable,
+      exclusive: exclusive || false
+    }
+
+    this.queues.set(queue, options)
+
+    return this.channel.assertQueue(queue, options)
+  }
+
+  handleReply (message) {
+    if (message === null) return
+
+    /* Whether or not we are still waiting on it, the message is ours
+       to deal with as nobody else consumes from our reply queue */
+    this.ack(message)
+
+    const request = this.pending.get(message.properties.correlationId)
+
+    /* If the request already timed out or was cancelled, the reply is dropped */
+    if (!request) return
+
+    this.pending.delete(message.properties.correlationId)
+    clearTimeout(request.timer)
+
+    Metrics.observeRabbitRequest(request.queue, Metrics.toSeconds(process.hrtime(request.start)), false)
+
+    try {
+      return request.resolve(JSON.parse(message.content.toString()))
+    } catch (e) {
+      return request.reject(new Error('Could not parse reply from server'))
+    }
+  }
+
   nack (message) {
     return this.channel.nack(message)
   }
@@ -65,20 +171,35 @@ class Rabbit extends EventEmitter {
     return this.channel.prefetch(value)
   }
 
+  reconnect () {
+    const delay = this.reconnectDelay
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.maxReconnectDelay)
+
+    this.emit('log', 'Reconnecting to server in ' + delay + 'ms...')
+
+    setTimeout(() => {
+      this.connect().catch((error) => {
+        this.emit('log', 'Could not reconnect to server: ' + error.toString())
+        this.reconnect()
+      })
+    }, delay)
+  }
+
   registerConsumer (queue, prefetch) {
     if (typeof queue !== 'string') throw new Error('Queue name must be a string')
 
-    if (prefetch) {
-      this.prefetch(prefetch)
-    }
+    this.consumers.set(queue, prefetch)
 
-    this.channel.consume(queue, (message) => {
-      if (message !== null) {
-        const payload = JSON.parse(message.content.toString())
+    return this.consume(queue, prefetch)
+  }
 
-        this.emit('message', queue, message, payload)
-      }
+  rejectPending (error) {
+    this.pending.forEach((request, requestId) => {
+      clearTimeout(request.timer)
+      request.reject(error)
     })
+
+    this.pending.clear()
   }
 
   reply (message, payload) {
@@ -87,44 +208,61 @@ class Rabbit extends EventEmitter {
     })
   }
 
+  /* Sends the payload to the queue and resolves the reply. The returned
+     promise carries the requestId which can be passed to cancel() */
   requestReply (queue, payload, timeout) {
     if (typeof queue !== 'string') throw new Error('Queue name must be a string')
     timeout = timeout || 5000
 
-    return new Promise((resolve, reject) => {
-      const requestId = UUID().toString().replace(/-/g, '')
-      var cancelTimer
+    const requestId = UUID().toString().replace(/-/g, '')
 
-      this.channel.consume(this.replyQueue, (message) => {
-        if (message !== null && message.properties.correlationId === requestId) {
-          const response = JSON.parse(message.content.toString())
+    const promise = new Promise((resolve, reject) => {
+      if (!this.connected) {
+        return reject(new Error('Not connected to RabbitMQ server'))
+      }
 
-          this.ack(message)
+      const request = {
+        queue: queue,
+        start: process.hrtime(),
+        resolve: resolve,
+        reject: reject
+      }
 
-          if (cancelTimer !== null) {
-            clearTimeout(cancelTimer)
-          }
+      request.timer = setTimeout(() => {
+        this.pending.delete(requestId)
 
-          return resolve(response)
-        } else {
-          this.nack(message)
-        }
-      })
+        Metrics.observeRabbitRequest(queue, Metrics.toSeconds(process.hrtime(request.start)), true)
 
-      this.sendToQueue(queue, payload, {
-        correlationId: requestId,
-        replyTo: this.replyQueue,
-        expiration: timeout
-      })
+        const error = new Error('Could not complete request within the specified timeout period')
+        error.code = 'ETIMEDOUT'
 
-      cancelTimer = setTimeout(() => {
-        return reject(new Error('Could not complete request within the specified timeout period'))
+        return reject(error)
       }, timeout + 500)
+
+      this.pending.set(requestId, request)
+
+      try {
+        this.sendToQueue(queue, payload, {
+          correlationId: requestId,
+          replyTo: this.replyQueue,
+          expiration: timeout,
+          headers: requestHeaders()
+        })
+      } catch (error) {
+        this.pending.delete(requestId)
+        clearTimeout(request.timer)
+        return reject(error)
+      }
     })
+
+    promise.requestId = requestId
+
+    return promise
   }
 
   sendToQueue (queue, payload, options) {
     if (typeof queue !== 'string') throw new Error('Queue name must be a string')
+    if (!this.channel) throw new Error('Not connected to RabbitMQ server')
 
     if (!(payload instanceof Buffer)) {
       payload = Buffer.from(JSON.stringify(payload))
@@ -134,6 +272,13 @@ class Rabbit extends EventEmitter {
   }
 }
 
+/* Lets whoever picks up the message tie it back to the HTTP request that sent it */
+function requestHeaders () {
+  const requestId = RequestContext.requestId
+
+  return (requestId) ? { 'X-Request-Id': requestId } : {}
+}
+
 function buildConnectionString (host, username, pass) {
   const result = ['amqp://']
 
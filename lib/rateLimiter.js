@@ -0,0 +1,127 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+/* Refills the bucket for the time that has passed since we last saw it
+   and then tries to take the tokens out of it. This runs inside of Redis
+   so that every worker sees the same bucket */
+const TAKE_SCRIPT = [
+  'local capacity = tonumber(ARGV[1])',
+  'local refillRate = tonumber(ARGV[2])',
+  'local now = tonumber(ARGV[3])',
+  'local cost = tonumber(ARGV[4])',
+  'local bucket = redis.call("HMGET", KEYS[1], "tokens", "updated")',
+  'local tokens = tonumber(bucket[1]) or capacity',
+  'local updated = tonumber(bucket[2]) or now',
+  'tokens = math.min(capacity, tokens + math.max(0, now - updated) * refillRate / 1000)',
+  'local allowed = 0',
+  'if tokens >= cost then',
+  '  tokens = tokens - cost',
+  '  allowed = 1',
+  'end',
+  'redis.call("HMSET", KEYS[1], "tokens", tostring(tokens), "updated", now)',
+  'redis.call("PEXPIRE", KEYS[1], math.ceil((capacity - tokens) / refillRate * 1000) + 1000)',
+  'return { allowed, tostring(tokens) }'
+].join('\n')
+
+class RateLimiter {
+  constructor (cache, opts) {
+    opts = opts || {}
+
+    /* If we are not given a cache, the buckets live in memory instead
+       which means that each worker keeps its own count */
+    this.cache = cache || false
+    this.maxLocalEntries = opts.maxLocalEntries || 10000
+    this.budgets = {}
+
+    const budgets = opts.budgets || {}
+
+    Object.keys(budgets).forEach(name => {
+      const budget = budgets[name]
+
+      if (!budget.capacity || !budget.refillRate) throw new Error('Rate limit budget ' + name + ' must have a capacity and refill rate')
+
+      this.budgets[name] = {
+        name: name,
+        capacity: budget.capacity,
+        refillRate: budget.refillRate,
+        routes: budget.routes || []
+      }
+    })
+
+    this.local = new Map()
+  }
+
+  /* Returns the budget that the path is charged against, if any. A route
+     also covers everything beneath it. The capacity and refill rate of
+     the budget can be overridden, which is how API key tiers get more */
+  budgetFor (path, overrides) {
+    const names = Object.keys(this.budgets)
+
+    for (var i = 0; i < names.length; i++) {
+      const budget = this.budgets[names[i]]
+
+      for (var j = 0; j < budget.routes.length; j++) {
+        const route = budget.routes[j]
+
+        if (path === route || path.indexOf(route + '/') === 0) {
+          return (overrides && overrides[budget.name]) ? Object.assign({}, budget, overrides[budget.name]) : budget
+        }
+      }
+    }
+
+    return false
+  }
+
+  /* Takes a token out of the client's bucket for the budget and resolves
+     whether they were allowed to along with what is left in the bucket */
+  take (budget, client, cost) {
+    cost = cost || 1
+
+    const now = Date.now()
+
+    const taken = (this.cache)
+      ? this.cache.eval(TAKE_SCRIPT, cacheName(budget, client), [budget.capacity, budget.refillRate, now, cost])
+        .then(reply => { return { allowed: (reply[0] === 1), tokens: parseFloat(reply[1]) } })
+      : Promise.resolve(this.takeLocal(budget, client, cost, now))
+
+    return taken.then(result => {
+      return {
+        allowed: result.allowed,
+        limit: budget.capacity,
+        remaining: Math.floor(result.tokens),
+        reset: Math.ceil((budget.capacity - result.tokens) / budget.refillRate),
+        retryAfter: (result.allowed) ? 0 : Math.max(1, Math.ceil((cost - result.tokens) / budget.refillRate))
+      }
+    })
+  }
+
+  takeLocal (budget, client, cost, now) {
+    const key = cacheName(budget, client)
+    const bucket = this.local.get(key) || { tokens: budget.capacity, updated: now }
+
+    const tokens = Math.min(budget.capacity, bucket.tokens + Math.max(0, now - bucket.updated) * budget.refillRate / 1000)
+    const allowed = (tokens >= cost)
+
+    /* Maps iterate in insertion order so the first key is always the least recently used */
+    this.local.delete(key)
+    this.local.set(key, { tokens: (allowed) ? tokens - cost : tokens, updated: now })
+
+    while (this.local.size > this.maxLocalEntries) {
+      this.local.delete(this.local.keys().next().value)
+    }
+
+    return {
+      allowed: allowed,
+      tokens: (allowed) ? tokens - cost : tokens
+    }
+  }
+}
+
+function cacheName (budget, client) {
+  return 'ratelimit' + budget.name + client
+}
+
+module.exports = RateLimiter
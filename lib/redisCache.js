@@ -27,6 +27,33 @@ class RedisCache extends EventEmitter {
     this.client.on('ready', () => this.emit('ready'))
   }
 
+  del (keyNames) {
+    return new Promise((resolve, reject) => {
+      if (!Array.isArray(keyNames)) keyNames = [keyNames]
+      if (keyNames.length === 0) return resolve(0)
+
+      const keys = keyNames.map(keyName => sha256(keyName))
+      this.client.del(keys, (err, reply) => {
+        if (err) return reject(err)
+        return resolve(reply)
+      })
+    })
+  }
+
+  /* Runs a Lua script against the keys atomically. The key names are
+     hashed the same way as they are everywhere else */
+  eval (script, keyNames, args) {
+    return new Promise((resolve, reject) => {
+      if (!Array.isArray(keyNames)) keyNames = [keyNames]
+
+      const keys = keyNames.map(keyName => sha256(keyName))
+      this.client.eval([script, keys.length].concat(keys, args || []), (err, reply) => {
+        if (err) return reject(err)
+        return resolve(reply)
+      })
+    })
+  }
+
   get (keyName) {
     return new Promise((resolve, reject) => {
       const key = sha256(keyName)
@@ -37,6 +64,30 @@ class RedisCache extends EventEmitter {
     })
   }
 
+  /* Increments the counter and resolves its new value. The counter
+     expires once it has not been touched for the ttl */
+  increment (keyName, ttl) {
+    return new Promise((resolve, reject) => {
+      const key = sha256(keyName)
+      this.client.multi()
+        .incr(key)
+        .expire(key, ttl || this.defaultTTL)
+        .exec((err, replies) => {
+          if (err) return reject(err)
+          return resolve(replies[0])
+        })
+    })
+  }
+
+  ping () {
+    return new Promise((resolve, reject) => {
+      this.client.ping((err, reply) => {
+        if (err) return reject(err)
+        return resolve(reply)
+      })
+    })
+  }
+
   set (keyName, value, ttl) {
     return new Promise((resolve, reject) => {
       if (!value) {
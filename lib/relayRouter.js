@@ -0,0 +1,167 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const CircuitBreaker = require('./circuitBreaker')
+const EventEmitter = require('events')
+const Metrics = require('./metrics')
+
+class RelayRouter extends EventEmitter {
+  constructor (rabbit, opts) {
+    if (!rabbit) throw new Error('Must supply a RabbitMQ helper')
+    super()
+
+    opts = opts || {}
+
+    if (!opts.defaultQueue) throw new Error('Must supply a default relay queue')
+
+    this.rabbit = rabbit
+    this.defaultQueue = opts.defaultQueue
+    this.routes = opts.routes || {}
+    this.circuitBreaker = opts.circuitBreaker || {}
+
+    /* Every queue gets its own circuit breaker so that one dead set of
+       consumers doesn't make us give up on the others */
+    this.breakers = new Map()
+
+    /* If we have somewhere else to send the messages when none of our
+       queues can take them, that's where they go */
+    this.fallback = opts.fallback || false
+
+    if (this.fallback) this.fallback.on('log', log => this.emit('log', log))
+  }
+
+  breakerFor (queue) {
+    if (!this.breakers.has(queue)) {
+      const breaker = new CircuitBreaker(queue, {
+        failureThreshold: this.circuitBreaker.failureThreshold,
+        resetTimeout: this.circuitBreaker.resetTimeout,
+        isFailure: isTimeout
+      })
+
+      breaker.on('stateChange', (state, previous) => {
+        this.emit('log', 'Circuit for ' + queue + ' changed from ' + previous + ' to ' + state)
+      })
+
+      this.breakers.set(queue, breaker)
+    }
+
+    return this.breakers.get(queue)
+  }
+
+  /* Reports the state of the circuit for each queue we've used */
+  status () {
+    const result = {}
+
+    this.breakers.forEach((breaker, queue) => { result[queue] = breaker.toJSON() })
+
+    return result
+  }
+
+  /* Returns the queues, in the order that we try them, for the message type */
+  queuesFor (type) {
+    const queues = this.routes[type]
+
+    if (!queues || queues.length === 0) return [this.defaultQueue]
+
+    return (Array.isArray(queues)) ? queues : [queues]
+  }
+
+  /* Sends the payload to the primary queue for the message type. If that
+     queue does not answer in time, we move on to the next one in the list.
+     If we can't reach any of them, we try the daemon fallback (if we have one).
+     Resolves the reply along with the name of the queue that served it */
+  request (type, payload, timeout) {
+    const queues = this.queuesFor(type)
+
+    /* The request that we are waiting on right now, so that we can stop
+       waiting on it if whoever asked for it goes away */
+    var current = false
+    var cancelled = false
+
+    const attempt = (idx) => {
+      const queue = queues[idx]
+
+      if (cancelled) return Promise.reject(cancelError())
+
+      return this.breakerFor(queue).call(() => {
+        current = this.rabbit.requestReply(queue, payload, timeout)
+
+        return current
+      })
+        .then(response => {
+          Metrics.observeRelayRequest(type, queue, 'ok')
+
+          return {
+            queue: queue,
+            response: response
+          }
+        })
+        .catch(error => {
+          const timedOut = isTimeout(error)
+          const circuitOpen = (error.code === 'ECIRCUITOPEN')
+
+          Metrics.observeRelayRequest(type, queue, (timedOut) ? 'timeout' : (circuitOpen) ? 'circuit_open' : 'error')
+
+          /* Only a queue that did not (or we know will not) answer is a reason to try the next one */
+          if ((!timedOut && !circuitOpen) || idx + 1 >= queues.length) throw error
+
+          if (timedOut) this.emit('log', 'Relay request for ' + type + ' via ' + queue + ' timed out, falling back to ' + queues[idx + 1])
+
+          return attempt(idx + 1)
+        })
+    }
+
+    const promise = attempt(0)
+      .catch(error => {
+        if (cancelled || !this.fallback || !this.fallback.supports(type)) throw error
+
+        this.emit('log', 'Relay request for ' + type + ' could not be completed via RabbitMQ (' + error.message + '), falling back to the daemon(s)')
+
+        return this.requestFallback(type, payload, timeout)
+      })
+
+    /* Once the message is on its way there's no taking it back, but we
+       don't need to keep the reply waiting for someone who is gone */
+    promise.cancel = () => {
+      cancelled = true
+
+      if (current) this.rabbit.cancel(current.requestId)
+    }
+
+    return promise
+  }
+
+  requestFallback (type, payload, timeout) {
+    return this.fallback.request(type, payload, timeout)
+      .then(result => {
+        const queue = 'daemon:' + result.endpoint
+
+        Metrics.observeRelayRequest(type, queue, 'ok')
+
+        return {
+          queue: queue,
+          response: result.response
+        }
+      })
+      .catch(error => {
+        Metrics.observeRelayRequest(type, 'daemon', 'error')
+
+        throw error
+      })
+  }
+}
+
+function cancelError () {
+  const error = new Error('Request cancelled')
+  error.code = 'ECANCELED'
+  return error
+}
+
+function isTimeout (error) {
+  return (error && error.code === 'ETIMEDOUT')
+}
+
+module.exports = RelayRouter
@@ -0,0 +1,69 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const AsyncLocalStorage = require('async_hooks').AsyncLocalStorage
+const UUID = require('uuid/v4')
+
+/* Keeps track of the request that the code running right now is working
+   on so that we can tie our logs, database queries, and cache hits, and
+   the messages that we send elsewhere back to the request that caused them */
+const storage = (AsyncLocalStorage) ? new AsyncLocalStorage() : fallbackStorage()
+
+/* What we are willing to accept from a client as a request ID */
+const REQUEST_ID_FORMAT = /^[A-Za-z0-9._:-]{1,128}$/
+
+class RequestContext {
+  /* Runs the function, and everything that it kicks off, in a new context
+     for the request. We keep the request ID that we were handed (if it
+     looks sane) so that it can be traced back through whatever sent it */
+  static run (request, fn) {
+    const requestId = request.header('x-request-id')
+
+    const context = {
+      requestId: (requestId && REQUEST_ID_FORMAT.test(requestId)) ? requestId : UUID(),
+      dbQueries: 0,
+      cacheHits: 0,
+      params: false,
+      error: false
+    }
+
+    return storage.run(context, () => fn(context))
+  }
+
+  static current () {
+    return storage.getStore() || false
+  }
+
+  static get requestId () {
+    const context = RequestContext.current()
+
+    return (context) ? context.requestId : false
+  }
+
+  static countQuery () {
+    const context = RequestContext.current()
+
+    if (context) context.dbQueries++
+  }
+
+  static countCacheHit () {
+    const context = RequestContext.current()
+
+    if (context) context.cacheHits++
+  }
+}
+
+/* Node.js releases before 12.17 can't follow a request across asynchronous
+   calls, so there we still hand out request IDs but nothing else can find
+   its way back to the request that it is working on */
+function fallbackStorage () {
+  return {
+    run: (store, fn) => fn(),
+    getStore: () => undefined
+  }
+}
+
+module.exports = RequestContext
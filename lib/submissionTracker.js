@@ -0,0 +1,65 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Crypto = require('crypto')
+
+class SubmissionTracker {
+  constructor (cache, opts) {
+    opts = opts || {}
+
+    /* If we are not given a cache, we keep the records in memory instead */
+    this.cache = cache || false
+    this.ttl = opts.ttl || 60 * 60 * 24 * 7
+    this.maxLocalEntries = opts.maxLocalEntries || 10000
+    this.salt = opts.salt || ''
+
+    this.local = new Map()
+  }
+
+  /* Records a transaction that we relayed on behalf of a client along
+     with what the relay agent had to say about it */
+  record (hash, ip, response) {
+    const record = {
+      hash: hash,
+      submittedAt: Math.floor(Date.now() / 1000),
+      relay: (response) ? { status: response.status || false, error: response.error || false } : false,
+      clientIpHash: Crypto.createHash('sha256').update(this.salt + ip).digest('hex')
+    }
+
+    if (this.cache) return this.cache.set(cacheName(hash), record, this.ttl).then(() => { return record })
+
+    /* Maps iterate in insertion order so the first key is always the oldest */
+    this.local.delete(hash)
+    this.local.set(hash, { record: record, expires: Date.now() + this.ttl * 1000 })
+
+    while (this.local.size > this.maxLocalEntries) {
+      this.local.delete(this.local.keys().next().value)
+    }
+
+    return Promise.resolve(record)
+  }
+
+  get (hash) {
+    if (this.cache) return this.cache.get(cacheName(hash)).then(record => { return record || false })
+
+    const entry = this.local.get(hash)
+
+    if (!entry) return Promise.resolve(false)
+
+    if (entry.expires < Date.now()) {
+      this.local.delete(hash)
+      return Promise.resolve(false)
+    }
+
+    return Promise.resolve(entry.record)
+  }
+}
+
+function cacheName (hash) {
+  return 'submission' + hash
+}
+
+module.exports = SubmissionTracker
@@ -0,0 +1,202 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const CoinUtils = new (require('chimera-utils').CryptoNote)()
+const util = require('util')
+
+/* The codes we hand back to clients describing why we would not relay a transaction */
+const ERRORS = {
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  TRANSACTION_TOO_LARGE: 'TRANSACTION_TOO_LARGE',
+  EXTRA_TOO_LARGE: 'EXTRA_TOO_LARGE',
+  NO_INPUTS: 'NO_INPUTS',
+  NO_OUTPUTS: 'NO_OUTPUTS',
+  UNSUPPORTED_INPUT_TYPE: 'UNSUPPORTED_INPUT_TYPE',
+  DUPLICATE_KEY_IMAGE: 'DUPLICATE_KEY_IMAGE',
+  FEE_TOO_LOW: 'FEE_TOO_LOW',
+  KEY_IMAGE_SPENT: 'KEY_IMAGE_SPENT',
+  KEY_IMAGE_IN_POOL: 'KEY_IMAGE_IN_POOL',
+  INVALID_RING_MEMBER: 'INVALID_RING_MEMBER',
+  NODE_FEE_NOT_PAID: 'NODE_FEE_NOT_PAID'
+}
+
+class TransactionValidator {
+  constructor (database, opts) {
+    if (!database) throw new Error('Must supply a database backend')
+
+    opts = opts || {}
+
+    this.database = database
+    this.enabled = (typeof opts.enabled === 'undefined') ? true : opts.enabled
+    this.supportedVersions = opts.supportedVersions || [1, 2]
+    this.minimumFee = opts.minimumFee || 0
+    this.maxSize = opts.maxSize || 100000
+    this.maxExtraSize = opts.maxExtraSize || 1024
+
+    /* We can only enforce the node fee if we can see the outputs that pay it */
+    const nodeFee = opts.nodeFee || {}
+
+    this.nodeFee = false
+
+    if (nodeFee.address && nodeFee.amount > 0 && nodeFee.privateViewKey) {
+      this.nodeFee = {
+        amount: nodeFee.amount,
+        publicSpendKey: CoinUtils.decodeAddress(nodeFee.address).publicSpendKey,
+        privateViewKey: nodeFee.privateViewKey
+      }
+    }
+  }
+
+  static get errors () {
+    return ERRORS
+  }
+
+  /* Resolves false if we cannot find anything wrong with the transaction
+     otherwise an object with the error code and a description of the problem */
+  validate (tx) {
+    const problem = ((this.enabled) ? this.checkStructure(tx) : false) || this.checkNodeFee(tx)
+
+    if (problem || !this.enabled) return Promise.resolve(problem)
+
+    return this.checkKeyImages(tx)
+      .then(problem => { return problem || this.checkRingMembers(tx) })
+  }
+
+  /* Checks that don't require us to look anything up */
+  checkStructure (tx) {
+    if (this.supportedVersions.indexOf(tx.version) === -1) {
+      return failure(ERRORS.UNSUPPORTED_VERSION, util.format('Transaction version %s is not supported', tx.version))
+    }
+
+    if (tx.size > this.maxSize) {
+      return failure(ERRORS.TRANSACTION_TOO_LARGE, util.format('Transaction size of %s bytes exceeds the maximum of %s bytes', tx.size, this.maxSize))
+    }
+
+    if (tx.extraSize > this.maxExtraSize) {
+      return failure(ERRORS.EXTRA_TOO_LARGE, util.format('Transaction extra of %s bytes exceeds the maximum of %s bytes', tx.extraSize, this.maxExtraSize))
+    }
+
+    if (tx.inputs.length === 0) return failure(ERRORS.NO_INPUTS, 'Transaction has no inputs')
+
+    if (tx.outputs.length === 0) return failure(ERRORS.NO_OUTPUTS, 'Transaction has no outputs')
+
+    const keyImages = {}
+
+    for (var i = 0; i < tx.inputs.length; i++) {
+      const input = tx.inputs[i]
+
+      /* Only the miner gets to create coinbase inputs */
+      if (input.type !== '02') {
+        return failure(ERRORS.UNSUPPORTED_INPUT_TYPE, util.format('Transaction input type %s is not supported', input.type))
+      }
+
+      if (keyImages[input.keyImage]) {
+        return failure(ERRORS.DUPLICATE_KEY_IMAGE, util.format('Key image %s is used more than once in the transaction', input.keyImage))
+      }
+
+      keyImages[input.keyImage] = true
+    }
+
+    if (tx.fee < this.minimumFee) {
+      return failure(ERRORS.FEE_TOO_LOW, util.format('Transaction fee of %s is below the minimum of %s', tx.fee, this.minimumFee))
+    }
+
+    return false
+  }
+
+  /* Scans the outputs of the transaction with the view key of the node fee
+     address to make sure that the transaction pays the fee that we advertise */
+  checkNodeFee (tx) {
+    if (!this.nodeFee) return false
+
+    const publicKey = tx.publicKey
+
+    var paid = 0
+
+    if (publicKey) {
+      const outputs = tx.outputs.map((output, index) => {
+        return {
+          index: index,
+          key: output.key,
+          amount: output.amount
+        }
+      })
+
+      try {
+        CoinUtils.scanTransactionOutputs(publicKey, outputs, this.nodeFee.privateViewKey, this.nodeFee.publicSpendKey)
+          .forEach(output => { paid += output.amount })
+      } catch (e) {
+        paid = 0
+      }
+    }
+
+    if (paid < this.nodeFee.amount) {
+      return failure(ERRORS.NODE_FEE_NOT_PAID, util.format('Transaction pays %s to the node fee address but the node fee is %s', paid, this.nodeFee.amount))
+    }
+
+    return false
+  }
+
+  checkKeyImages (tx) {
+    const keyImages = tx.inputs.map(input => input.keyImage)
+
+    return this.database.getKeyImagesStatus(keyImages)
+      .then(status => {
+        if (status.keyImagesInBlock.length !== 0) {
+          const spent = status.keyImagesInBlock[0]
+
+          return failure(ERRORS.KEY_IMAGE_SPENT, util.format('Key image %s was already spent in transaction %s', spent.keyImage, spent.hash))
+        }
+
+        if (status.keyImagesInPool.length !== 0) {
+          const pending = status.keyImagesInPool[0]
+
+          return failure(ERRORS.KEY_IMAGE_IN_POOL, util.format('Key image %s is already being spent by transaction %s in the pool', pending.keyImage, pending.hash))
+        }
+
+        return false
+      })
+  }
+
+  /* Makes sure that every ring member refers to an output that exists */
+  checkRingMembers (tx) {
+    const amounts = []
+
+    tx.inputs.forEach(input => {
+      if (amounts.indexOf(input.amount) === -1) amounts.push(input.amount)
+    })
+
+    return this.database.getAmountIndexMaximums(amounts)
+      .then(maximums => {
+        for (var i = 0; i < tx.inputs.length; i++) {
+          const input = tx.inputs[i]
+          const maxIndex = maximums[input.amount]
+
+          /* The key offsets are relative to one another */
+          var globalIndex = 0
+
+          for (var j = 0; j < input.keyOffsets.length; j++) {
+            globalIndex += input.keyOffsets[j]
+
+            if (typeof maxIndex === 'undefined' || globalIndex > maxIndex) {
+              return failure(ERRORS.INVALID_RING_MEMBER, util.format('Output %s for amount %s does not exist', globalIndex, input.amount))
+            }
+          }
+        }
+
+        return false
+      })
+  }
+}
+
+function failure (code, message) {
+  return {
+    code: code,
+    message: message
+  }
+}
+
+module.exports = TransactionValidator
@@ -0,0 +1,123 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const AccessList = require('../lib/accessList')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+/* Stands in for the Redis helper, counting how often the lists get pushed */
+function fakeCache () {
+  return {
+    values: {},
+    pushes: 0,
+    get: function (key) {
+      return Promise.resolve(this.values[key] ? JSON.parse(this.values[key]) : undefined)
+    },
+    setNoExpire: function (key, value) {
+      this.pushes++
+      this.values[key] = JSON.stringify(value)
+      return Promise.resolve()
+    }
+  }
+}
+
+function writeLists (file, lists) {
+  fs.writeFileSync(file, JSON.stringify(lists))
+}
+
+describe('AccessList', () => {
+  var file
+
+  beforeEach(() => {
+    file = path.join(os.tmpdir(), 'accessList-' + process.pid + '-' + Date.now() + '.json')
+  })
+
+  afterEach(() => {
+    if (fs.existsSync(file)) fs.unlinkSync(file)
+  })
+
+  it('matches addresses against the configured ranges', () => {
+    const list = new AccessList(false, { blocked: ['10.0.0.0/8'], allowed: [{ range: '192.168.1.1' }] })
+
+    assert.strictEqual(list.blocked('10.1.2.3'), '10.0.0.0/8')
+    assert.strictEqual(list.blocked('11.1.2.3'), false)
+    assert.strictEqual(list.allowed('192.168.1.1'), '192.168.1.1')
+    assert.strictEqual(list.allowed('not an address'), false)
+  })
+
+  it('ignores entries that have expired', () => {
+    const list = new AccessList(false, {
+      blocked: [
+        { range: '10.0.0.0/8', expires: Math.floor(Date.now() / 1000) - 60 },
+        { range: '172.16.0.0/12', expires: new Date(Date.now() + 60000).toISOString() }
+      ]
+    })
+
+    assert.strictEqual(list.blocked('10.1.2.3'), false)
+    assert.strictEqual(list.blocked('172.16.0.1'), '172.16.0.0/12')
+  })
+
+  it('keeps polling the file after failing to read it', () => {
+    const list = new AccessList(false, { file: file, refreshInterval: 60000 })
+    const errors = []
+
+    list.on('error', error => errors.push(error))
+
+    return list.start()
+      .then(() => {
+        assert.strictEqual(errors.length, 1)
+        assert(list.timer)
+
+        writeLists(file, { blocked: ['10.0.0.0/8'] })
+
+        return list.reload()
+      })
+      .then(() => {
+        list.stop()
+
+        assert.strictEqual(list.blocked('10.1.2.3'), '10.0.0.0/8')
+      })
+  })
+
+  it('only shares the lists when the file has changed', () => {
+    const cache = fakeCache()
+    const list = new AccessList(cache, { file: file })
+
+    writeLists(file, { blocked: ['10.0.0.0/8'] })
+
+    return list.reload()
+      .then(() => list.reload())
+      .then(() => {
+        assert.strictEqual(cache.pushes, 1)
+
+        writeLists(file, { blocked: ['10.0.0.0/8', '172.16.0.0/12'] })
+
+        return list.reload()
+      })
+      .then(() => {
+        assert.strictEqual(cache.pushes, 2)
+        assert.strictEqual(list.blocked('172.16.0.1'), '172.16.0.0/12')
+      })
+  })
+
+  it('picks up lists that another worker already shared', () => {
+    const cache = fakeCache()
+    const first = new AccessList(cache, { file: file })
+    const second = new AccessList(cache, { file: file })
+
+    writeLists(file, { allowed: ['192.168.0.0/16'] })
+
+    return first.reload()
+      .then(() => second.reload())
+      .then(() => {
+        assert.strictEqual(cache.pushes, 1)
+        assert.strictEqual(second.allowed('192.168.4.4'), '192.168.0.0/16')
+        assert.strictEqual(second.dynamic.updated, first.dynamic.updated)
+      })
+  })
+})
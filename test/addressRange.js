@@ -0,0 +1,91 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const AddressRange = require('../lib/addressRange')
+
+function contains (range, ip) {
+  return AddressRange.contains(AddressRange.parse(range), AddressRange.parseAddress(ip))
+}
+
+describe('AddressRange', () => {
+  describe('parseAddress', () => {
+    it('maps IPv4 addresses into IPv6 space', () => {
+      assert.deepStrictEqual(AddressRange.parseAddress('192.168.1.2'), [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0xff, 192, 168, 1, 2])
+    })
+
+    it('treats IPv4-mapped IPv6 addresses the same as IPv4 addresses', () => {
+      assert.deepStrictEqual(AddressRange.parseAddress('::ffff:192.168.1.2'), AddressRange.parseAddress('192.168.1.2'))
+      assert.deepStrictEqual(AddressRange.parseAddress('::ffff:c0a8:102'), AddressRange.parseAddress('192.168.1.2'))
+    })
+
+    it('expands :: in every position', () => {
+      assert.deepStrictEqual(AddressRange.parseAddress('::'), new Array(16).fill(0))
+      assert.deepStrictEqual(AddressRange.parseAddress('::1'), new Array(15).fill(0).concat(1))
+      assert.deepStrictEqual(AddressRange.parseAddress('fe80::'), [0xfe, 0x80].concat(new Array(14).fill(0)))
+      assert.deepStrictEqual(AddressRange.parseAddress('2001:db8::8:800:200c:417a'), AddressRange.parseAddress('2001:db8:0:0:8:800:200c:417a'))
+    })
+
+    it('strips brackets and zone IDs', () => {
+      assert.deepStrictEqual(AddressRange.parseAddress('[::1]'), AddressRange.parseAddress('::1'))
+      assert.deepStrictEqual(AddressRange.parseAddress('fe80::1%eth0'), AddressRange.parseAddress('fe80::1'))
+    })
+
+    it('rejects things that are not addresses', () => {
+      assert.strictEqual(AddressRange.parseAddress('example.com'), false)
+      assert.strictEqual(AddressRange.parseAddress('256.1.1.1'), false)
+      assert.strictEqual(AddressRange.parseAddress(''), false)
+      assert.strictEqual(AddressRange.parseAddress(undefined), false)
+    })
+  })
+
+  describe('parse', () => {
+    it('treats a bare address as a range of one', () => {
+      assert.strictEqual(AddressRange.parse('10.0.0.1').prefix, 128)
+      assert.strictEqual(AddressRange.parse('::1').prefix, 128)
+    })
+
+    it('offsets IPv4 prefixes into IPv6 space', () => {
+      assert.strictEqual(AddressRange.parse('10.0.0.0/8').prefix, 104)
+      assert.strictEqual(AddressRange.parse('2001:db8::/32').prefix, 32)
+    })
+
+    it('rejects invalid ranges', () => {
+      assert.strictEqual(AddressRange.parse('10.0.0.0/33'), false)
+      assert.strictEqual(AddressRange.parse('::/129'), false)
+      assert.strictEqual(AddressRange.parse('10.0.0.0/8/8'), false)
+      assert.strictEqual(AddressRange.parse('10.0.0.0/abc'), false)
+      assert.strictEqual(AddressRange.parse('nonsense/8'), false)
+    })
+  })
+
+  describe('contains', () => {
+    it('matches IPv4 ranges on whole and partial bytes', () => {
+      assert(contains('10.0.0.0/8', '10.255.1.1'))
+      assert(!contains('10.0.0.0/8', '11.0.0.1'))
+      assert(contains('192.168.0.0/20', '192.168.15.255'))
+      assert(!contains('192.168.0.0/20', '192.168.16.0'))
+    })
+
+    it('matches IPv4-mapped clients against IPv4 ranges', () => {
+      assert(contains('10.0.0.0/8', '::ffff:10.1.2.3'))
+      assert(contains('::ffff:10.0.0.0/104', '10.1.2.3'))
+    })
+
+    it('matches IPv6 ranges', () => {
+      assert(contains('2001:db8::/32', '2001:db8:1234::1'))
+      assert(!contains('2001:db8::/32', '2001:db9::1'))
+      assert(contains('::1', '::1'))
+      assert(!contains('::1', '::2'))
+    })
+
+    it('matches everything with a zero prefix', () => {
+      assert(contains('::/0', '8.8.8.8'))
+      assert(contains('0.0.0.0/0', '8.8.8.8'))
+      assert(!contains('0.0.0.0/0', '2001:db8::1'))
+    })
+  })
+})
@@ -0,0 +1,148 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const ApiKeys = require('../lib/apiKeys')
+const Crypto = require('crypto')
+
+describe('ApiKeys', () => {
+  const opts = {
+    defaultTier: 'public',
+    restrictedRoutes: ['/block/template', 'POST /block'],
+    tiers: {
+      public: { routes: ['*'] },
+      partner: { routes: ['*'], maxBlockCount: 10000 },
+      miner: { routes: ['*', 'POST /block'] },
+      explorer: { routes: ['GET /block', '/transaction'] }
+    },
+    keys: [
+      { name: 'alice', tier: 'partner', key: 'alice-secret' },
+      { name: 'bob', tier: 'miner', hash: Crypto.createHash('sha256').update('bob-secret').digest('hex').toUpperCase() },
+      { name: 'mallory', tier: 'nonexistent', key: 'mallory-secret' },
+      { tier: 'partner', key: 'nameless-secret' }
+    ]
+  }
+
+  function apiKeys () {
+    const keys = new ApiKeys(false, opts)
+    keys.static = keys.parseKeys(keys.keys)
+    return keys
+  }
+
+  it('refuses to start without a default tier that exists', () => {
+    assert.throws(() => new ApiKeys(false, Object.assign({}, opts, { defaultTier: 'gold' })), /default tier/)
+  })
+
+  describe('authenticate', () => {
+    const keys = apiKeys()
+
+    it('finds keys listed by the key itself', () => {
+      const result = keys.authenticate('alice-secret')
+
+      assert.strictEqual(result.name, 'alice')
+      assert.strictEqual(result.tier.name, 'partner')
+      assert.strictEqual(result.tier.maxBlockCount, 10000)
+    })
+
+    it('finds keys listed by their hash, whatever the case of the hash', () => {
+      assert.strictEqual(keys.authenticate('bob-secret').name, 'bob')
+    })
+
+    it('ignores keys with an unknown tier or without a name', () => {
+      assert.strictEqual(keys.authenticate('mallory-secret'), false)
+      assert.strictEqual(keys.authenticate('nameless-secret'), false)
+    })
+
+    it('does not know keys that were never listed', () => {
+      assert.strictEqual(keys.authenticate('guess'), false)
+    })
+
+    it('prefers the keys loaded later over the ones from our config', () => {
+      const keys = apiKeys()
+
+      keys.apply({ keys: [{ name: 'alice-upgraded', tier: 'miner', key: 'alice-secret' }], updated: 1 })
+
+      assert.strictEqual(keys.authenticate('alice-secret').name, 'alice-upgraded')
+    })
+  })
+
+  describe('requestKey', () => {
+    function request (headers) {
+      return { header: name => headers[name.toLowerCase()] }
+    }
+
+    it('reads bearer tokens and the X-API-Key header', () => {
+      assert.strictEqual(ApiKeys.requestKey(request({ authorization: 'Bearer abc123' })), 'abc123')
+      assert.strictEqual(ApiKeys.requestKey(request({ authorization: 'bearer   abc123' })), 'abc123')
+      assert.strictEqual(ApiKeys.requestKey(request({ 'x-api-key': 'abc123' })), 'abc123')
+    })
+
+    it('ignores other kinds of authorization', () => {
+      assert.strictEqual(ApiKeys.requestKey(request({ authorization: 'Basic dXNlcjpwYXNz' })), false)
+      assert.strictEqual(ApiKeys.requestKey(request({})), false)
+    })
+  })
+
+  describe('canAccess', () => {
+    const keys = apiKeys()
+    const tiers = keys.tiers
+
+    it('lets tiers with * use everything that is not restricted', () => {
+      assert(keys.canAccess(tiers.public, 'GET', '/block/header/top'))
+      assert(keys.canAccess(tiers.public, 'POST', '/sync'))
+      assert(keys.canAccess(tiers.public, 'GET', '/transaction/pool'))
+    })
+
+    it('keeps restricted routes, and everything beneath them, from tiers that do not list them', () => {
+      assert(!keys.canAccess(tiers.public, 'POST', '/block'))
+      assert(!keys.canAccess(tiers.public, 'POST', '/block/template'))
+      assert(!keys.canAccess(tiers.public, 'GET', '/block/template'))
+      assert(!keys.canAccess(tiers.partner, 'POST', '/block'))
+    })
+
+    it('only restricts the method that a restricted route names', () => {
+      assert(keys.canAccess(tiers.public, 'GET', '/block/abc'))
+      assert(keys.canAccess(tiers.public, 'GET', '/block'))
+    })
+
+    it('lets tiers that list a restricted route use it', () => {
+      assert(keys.canAccess(tiers.miner, 'POST', '/block'))
+      assert(keys.canAccess(tiers.miner, 'POST', '/block/template'))
+    })
+
+    it('does not treat routes that only share a prefix as the same route', () => {
+      assert(keys.canAccess(tiers.public, 'POST', '/blocks'))
+      assert(!keys.canAccess(tiers.explorer, 'GET', '/blocks'))
+    })
+
+    it('limits tiers without * to the routes that they list', () => {
+      assert(keys.canAccess(tiers.explorer, 'GET', '/block/abc'))
+      assert(keys.canAccess(tiers.explorer, 'POST', '/transaction'))
+      assert(keys.canAccess(tiers.explorer, 'GET', '/transaction/pool'))
+      assert(!keys.canAccess(tiers.explorer, 'POST', '/block'))
+      assert(!keys.canAccess(tiers.explorer, 'POST', '/sync'))
+    })
+  })
+
+  describe('usage', () => {
+    it('counts requests per key when there is no cache', () => {
+      const keys = apiKeys()
+
+      return keys.recordUsage('alice')
+        .then(() => keys.recordUsage('alice'))
+        .then(count => {
+          assert.strictEqual(count, 2)
+
+          return Promise.all([keys.usage('alice'), keys.usage('bob')])
+        })
+        .then(([alice, bob]) => {
+          assert.strictEqual(alice.requests, 2)
+          assert.strictEqual(bob.requests, 0)
+          assert(/^\d{4}-\d{2}-\d{2}$/.test(alice.date))
+        })
+    })
+  })
+})
@@ -0,0 +1,169 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const CircuitBreaker = require('../lib/circuitBreaker')
+
+const STATES = CircuitBreaker.states
+
+function timeoutError () {
+  const error = new Error('Timed out')
+  error.code = 'ETIMEDOUT'
+  return error
+}
+
+function succeed () {
+  return Promise.resolve('ok')
+}
+
+function timeOut () {
+  return Promise.reject(timeoutError())
+}
+
+function fail () {
+  return Promise.reject(new Error('Refused'))
+}
+
+function wait (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/* Runs the call and hands back whatever it settled with */
+function settle (promise) {
+  return promise.then(result => result, error => error)
+}
+
+describe('CircuitBreaker', () => {
+  function breaker (opts) {
+    return new CircuitBreaker('test', Object.assign({
+      failureThreshold: 2,
+      resetTimeout: 50,
+      isFailure: error => error.code === 'ETIMEDOUT'
+    }, opts))
+  }
+
+  it('starts closed and passes results through', () => {
+    const circuit = breaker()
+
+    return circuit.call(succeed)
+      .then(result => {
+        assert.strictEqual(result, 'ok')
+        assert.strictEqual(circuit.state, STATES.CLOSED)
+        assert.strictEqual(circuit.retryAfter, 0)
+      })
+  })
+
+  it('opens once the failure threshold is reached', () => {
+    const circuit = breaker()
+
+    return settle(circuit.call(timeOut))
+      .then(() => {
+        assert.strictEqual(circuit.state, STATES.CLOSED)
+
+        return settle(circuit.call(timeOut))
+      })
+      .then(error => {
+        assert.strictEqual(error.code, 'ETIMEDOUT')
+        assert.strictEqual(circuit.state, STATES.OPEN)
+      })
+  })
+
+  it('fails fast while open without calling through', () => {
+    const circuit = breaker()
+    var called = false
+
+    return settle(circuit.call(timeOut))
+      .then(() => settle(circuit.call(timeOut)))
+      .then(() => settle(circuit.call(() => { called = true; return succeed() })))
+      .then(error => {
+        assert.strictEqual(called, false)
+        assert.strictEqual(error.code, 'ECIRCUITOPEN')
+        assert(error.retryAfter >= 1)
+      })
+  })
+
+  it('only counts the errors that it is told are failures', () => {
+    const circuit = breaker()
+
+    return settle(circuit.call(fail))
+      .then(error => {
+        assert.strictEqual(error.message, 'Refused')
+
+        return settle(circuit.call(fail))
+      })
+      .then(() => settle(circuit.call(fail)))
+      .then(() => {
+        assert.strictEqual(circuit.state, STATES.CLOSED)
+        assert.strictEqual(circuit.failures, 0)
+      })
+  })
+
+  it('forgets earlier failures after a success', () => {
+    const circuit = breaker()
+
+    return settle(circuit.call(timeOut))
+      .then(() => circuit.call(succeed))
+      .then(() => settle(circuit.call(timeOut)))
+      .then(() => {
+        assert.strictEqual(circuit.state, STATES.CLOSED)
+        assert.strictEqual(circuit.failures, 1)
+      })
+  })
+
+  it('lets a single probe through after the reset timeout and closes if it works', () => {
+    const circuit = breaker()
+    var release
+
+    const probe = () => new Promise(resolve => { release = resolve })
+
+    return settle(circuit.call(timeOut))
+      .then(() => settle(circuit.call(timeOut)))
+      .then(() => wait(60))
+      .then(() => {
+        const first = circuit.call(probe)
+
+        assert.strictEqual(circuit.state, STATES.HALF_OPEN)
+
+        return settle(circuit.call(succeed))
+          .then(error => {
+            assert.strictEqual(error.code, 'ECIRCUITOPEN')
+
+            release('recovered')
+
+            return first
+          })
+      })
+      .then(result => {
+        assert.strictEqual(result, 'recovered')
+        assert.strictEqual(circuit.state, STATES.CLOSED)
+      })
+  })
+
+  it('opens again straight away if the probe fails', () => {
+    const circuit = breaker({ failureThreshold: 1 })
+
+    return settle(circuit.call(timeOut))
+      .then(() => wait(60))
+      .then(() => settle(circuit.call(fail)))
+      .then(() => {
+        assert.strictEqual(circuit.state, STATES.OPEN)
+      })
+  })
+
+  it('announces every change of state', () => {
+    const circuit = breaker({ failureThreshold: 1 })
+    const changes = []
+
+    circuit.on('stateChange', (state, previous) => changes.push(previous + '>' + state))
+
+    return settle(circuit.call(timeOut))
+      .then(() => wait(60))
+      .then(() => circuit.call(succeed))
+      .then(() => {
+        assert.deepStrictEqual(changes, ['closed>open', 'open>half_open', 'half_open>closed'])
+      })
+  })
+})
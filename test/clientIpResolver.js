@@ -0,0 +1,110 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const ClientIpResolver = require('../lib/clientIpResolver')
+
+function request (remoteAddress, headers) {
+  headers = headers || {}
+
+  return {
+    socket: { remoteAddress: remoteAddress },
+    header: name => headers[name.toLowerCase()]
+  }
+}
+
+describe('ClientIpResolver', () => {
+  const resolver = new ClientIpResolver({
+    trustedProxies: ['127.0.0.1', '10.0.0.0/8', 'fd00::/8']
+  })
+
+  it('refuses to start with an invalid trusted proxy', () => {
+    assert.throws(() => new ClientIpResolver({ trustedProxies: ['not a range'] }), /Invalid trusted proxy range/)
+  })
+
+  it('uses the peer address when there are no forwarding headers', () => {
+    assert.strictEqual(resolver.resolve(request('203.0.113.5')), '203.0.113.5')
+    assert.strictEqual(resolver.resolve(request('127.0.0.1')), '127.0.0.1')
+  })
+
+  it('unwraps IPv4-mapped peer addresses', () => {
+    assert.strictEqual(resolver.resolve(request('::ffff:203.0.113.5')), '203.0.113.5')
+  })
+
+  it('ignores forwarding headers from peers that we do not trust', () => {
+    const req = request('203.0.113.5', { 'x-forwarded-for': '198.51.100.1' })
+
+    assert.strictEqual(resolver.resolve(req), '203.0.113.5')
+  })
+
+  it('believes forwarding headers from trusted proxies', () => {
+    const req = request('127.0.0.1', { 'x-forwarded-for': '198.51.100.1' })
+
+    assert.strictEqual(resolver.resolve(req), '198.51.100.1')
+  })
+
+  it('walks back through every trusted proxy in the chain', () => {
+    const req = request('127.0.0.1', { 'x-forwarded-for': '198.51.100.1, 10.1.1.1, 10.2.2.2' })
+
+    assert.strictEqual(resolver.resolve(req), '198.51.100.1')
+  })
+
+  it('stops at the first hop that it does not trust so spoofed entries are ignored', () => {
+    /* The client claimed to be 1.1.1.1, the untrusted hop after it is the real client */
+    const req = request('127.0.0.1', { 'x-forwarded-for': '1.1.1.1, 198.51.100.1, 10.1.1.1' })
+
+    assert.strictEqual(resolver.resolve(req), '198.51.100.1')
+  })
+
+  it('does not let a client pretend to be a trusted proxy behind another client', () => {
+    const req = request('127.0.0.1', { 'x-forwarded-for': '10.9.9.9, 198.51.100.1' })
+
+    assert.strictEqual(resolver.resolve(req), '198.51.100.1')
+  })
+
+  it('stops at the last trusted proxy when a hop is garbage', () => {
+    const req = request('127.0.0.1', { 'x-forwarded-for': '198.51.100.1, garbage, 10.1.1.1' })
+
+    assert.strictEqual(resolver.resolve(req), '10.1.1.1')
+  })
+
+  it('strips ports and brackets from forwarded addresses', () => {
+    assert.strictEqual(resolver.resolve(request('127.0.0.1', { 'x-forwarded-for': '198.51.100.1:4567' })), '198.51.100.1')
+    assert.strictEqual(resolver.resolve(request('127.0.0.1', { 'x-forwarded-for': '[2001:db8::1]:4567' })), '2001:db8::1')
+  })
+
+  it('trusts IPv6 proxies by range', () => {
+    const req = request('fd12::1', { 'x-forwarded-for': '2001:db8::1' })
+
+    assert.strictEqual(resolver.resolve(req), '2001:db8::1')
+  })
+
+  it('only reads the Forwarded header when asked to', () => {
+    const headers = {
+      forwarded: 'for=198.51.100.1;proto=https, for="[2001:db8::1]:4567"',
+      'x-forwarded-for': '203.0.113.9'
+    }
+
+    const forwarded = new ClientIpResolver({ trustedProxies: ['127.0.0.1'], useForwarded: true })
+
+    assert.strictEqual(forwarded.resolve(request('127.0.0.1', headers)), '2001:db8::1')
+    assert.strictEqual(resolver.resolve(request('127.0.0.1', headers)), '203.0.113.9')
+  })
+
+  it('only believes CF-Connecting-IP when using Cloudflare and it came through a trusted proxy', () => {
+    const cloudflare = new ClientIpResolver({ trustedProxies: ['127.0.0.1'], useCloudflare: true })
+
+    const headers = { 'cf-connecting-ip': '198.51.100.1', 'x-forwarded-for': '203.0.113.9' }
+
+    assert.strictEqual(cloudflare.resolve(request('127.0.0.1', headers)), '198.51.100.1')
+    assert.strictEqual(cloudflare.resolve(request('203.0.113.5', headers)), '203.0.113.5')
+    assert.strictEqual(resolver.resolve(request('127.0.0.1', headers)), '203.0.113.9')
+  })
+
+  it('returns false when the peer address is unusable', () => {
+    assert.strictEqual(resolver.resolve(request(undefined)), false)
+  })
+})
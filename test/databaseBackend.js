@@ -0,0 +1,227 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const DatabaseBackend = require('../lib/databaseBackend')
+
+const HASHES = {
+  blockA: '0a'.repeat(32),
+  blockB: '0b'.repeat(32),
+  txA: '1a'.repeat(32),
+  txB: '1b'.repeat(32),
+  keyImageA: '2a'.repeat(32),
+  keyImageB: '2b'.repeat(32),
+  keyImageC: '2c'.repeat(32),
+  poolTx: '3a'.repeat(32)
+}
+
+/* Answers each query with the rows of the first table that it mentions */
+function backend (tables) {
+  const database = new DatabaseBackend()
+
+  database.queries = []
+
+  database.query = (query, args) => {
+    database.queries.push({ query: query, args: args })
+
+    const table = Object.keys(tables).filter(name => query.indexOf(name) !== -1)[0]
+
+    if (!table) return Promise.resolve([])
+
+    const rows = tables[table]
+
+    return (typeof rows === 'function') ? Promise.resolve().then(() => rows(args)) : Promise.resolve(rows)
+  }
+
+  return database
+}
+
+function transaction (hash, blockHash, fee, inputsTotal, outputsTotal) {
+  return {
+    txnHash: hash,
+    blockHash: blockHash,
+    publicKey: 'ff'.repeat(32),
+    unlockTimeString: '0',
+    paymentId: '',
+    fee: fee,
+    totalInputsAmount: inputsTotal,
+    totalOutputsAmount: outputsTotal
+  }
+}
+
+describe('DatabaseBackend', () => {
+  describe('buildWalletDataBlocks', () => {
+    const blocks = [
+      { blockHash: HASHES.blockA, height: 1, timestamp: 100, txnCount: 1 },
+      { blockHash: HASHES.blockB, height: 2, timestamp: 200, txnCount: 1 }
+    ]
+
+    function tables (overrides) {
+      return Object.assign({
+        'FROM `transaction_inputs`': [
+          { txnHash: HASHES.txB, keyImage: HASHES.keyImageA, amount: 100, type: 2 }
+        ],
+        'FROM `transaction_outputs`': [
+          { txnHash: HASHES.txA, outputIndex: 0, globalIndex: 5, key: 'cc'.repeat(32), amount: 100, type: 2 },
+          { txnHash: HASHES.txB, outputIndex: 0, globalIndex: 6, key: 'dd'.repeat(32), amount: 90, type: 2 }
+        ],
+        'FROM `transactions`': [
+          transaction(HASHES.txA, HASHES.blockA, 0, 0, 100),
+          transaction(HASHES.txB, HASHES.blockB, 10, 100, 90)
+        ]
+      }, overrides)
+    }
+
+    it('fetches the data for every block with one query per table', () => {
+      const database = backend(tables())
+
+      return database.buildWalletDataBlocks(blocks)
+        .then(() => {
+          assert.strictEqual(database.queries.length, 3)
+          assert.deepStrictEqual(database.queries[0].args, [HASHES.blockA, HASHES.blockB])
+        })
+    })
+
+    it('attaches each transaction, input and output to the block it belongs to', () => {
+      return backend(tables()).buildWalletDataBlocks(blocks)
+        .then(results => {
+          assert.deepStrictEqual(results.map(block => block.blockHash), [HASHES.blockA, HASHES.blockB])
+          assert.deepStrictEqual(results[0].transactions.map(txn => txn.hash), [HASHES.txA])
+          assert.deepStrictEqual(results[1].transactions.map(txn => txn.hash), [HASHES.txB])
+
+          const txn = results[1].transactions[0]
+
+          assert.deepStrictEqual(txn.inputs, [{ keyImage: HASHES.keyImageA, amount: 100, type: '02' }])
+          assert.deepStrictEqual(txn.outputs, [{ index: 0, globalIndex: 6, key: 'dd'.repeat(32), amount: 90, type: '02' }])
+          assert.strictEqual(txn.meta, undefined)
+        })
+    })
+
+    it('refuses blocks that are missing transactions', () => {
+      const database = backend(tables({
+        'FROM `transactions`': [transaction(HASHES.txA, HASHES.blockA, 0, 0, 100)]
+      }))
+
+      return database.buildWalletDataBlocks(blocks)
+        .then(() => assert.fail('Expected a consistency error'), error => {
+          assert(/Unexpected number of transactions/.test(error.message))
+        })
+    })
+
+    it('refuses transactions whose amounts do not add up', () => {
+      const database = backend(tables({
+        'FROM `transactions`': [
+          transaction(HASHES.txA, HASHES.blockA, 0, 0, 100),
+          transaction(HASHES.txB, HASHES.blockB, 5, 100, 90)
+        ]
+      }))
+
+      return database.buildWalletDataBlocks(blocks)
+        .then(() => assert.fail('Expected a consistency error'), error => {
+          assert(/Transaction fee does not match/.test(error.message))
+        })
+    })
+  })
+
+  describe('getWalletSyncDataByHeight', () => {
+    function limit (blockCount, maxBlockCount) {
+      const database = backend({})
+
+      return database.getWalletSyncDataByHeight(0, blockCount, maxBlockCount)
+        .then(() => { return database.queries[0].args[2] })
+    }
+
+    it('caps the number of blocks at the limit that it is given', () => {
+      return Promise.all([limit(500), limit(500, 1000), limit(5000, 1000), limit(undefined, 1000)])
+        .then(limits => {
+          assert.deepStrictEqual(limits, [100, 500, 1000, 100])
+        })
+    })
+  })
+
+  describe('getKeyImagesStatus', () => {
+    function database () {
+      return backend({
+        transaction_inputs: [
+          { keyImage: HASHES.keyImageA, txnHash: HASHES.txA, height: 10 },
+          { keyImage: HASHES.keyImageB, txnHash: HASHES.txB, height: null }
+        ],
+        transaction_pool: args => args.filter(hash => hash === HASHES.poolTx).map(hash => { return { txnHash: hash } })
+      })
+    }
+
+    it('tells apart key images spent in a block, in the pool, and unknown', () => {
+      const db = database()
+
+      return db.recordPoolKeyImages(HASHES.poolTx, [HASHES.keyImageB])
+        .then(() => db.getKeyImagesStatus([HASHES.keyImageA, HASHES.keyImageB, HASHES.keyImageC]))
+        .then(result => {
+          assert.deepStrictEqual(result.keyImagesInBlock, [{ keyImage: HASHES.keyImageA, hash: HASHES.txA, height: 10 }])
+          assert.deepStrictEqual(result.keyImagesInPool, [{ keyImage: HASHES.keyImageB, hash: HASHES.poolTx }])
+          assert.deepStrictEqual(result.keyImagesUnknown, [HASHES.keyImageC])
+        })
+    })
+
+    it('reports key images spent in a block over ones spent in the pool', () => {
+      const db = database()
+
+      return db.recordPoolKeyImages(HASHES.poolTx, [HASHES.keyImageA])
+        .then(() => db.getKeyImagesStatus([HASHES.keyImageA]))
+        .then(result => {
+          assert.strictEqual(result.keyImagesInBlock.length, 1)
+          assert.strictEqual(result.keyImagesInPool.length, 0)
+        })
+    })
+
+    it('forgets pool spends once the transaction has left the pool', () => {
+      const db = database()
+
+      return db.recordPoolKeyImages(HASHES.txB, [HASHES.keyImageC])
+        .then(() => db.getKeyImagesStatus([HASHES.keyImageC]))
+        .then(result => {
+          assert.strictEqual(result.keyImagesInPool.length, 0)
+          assert.deepStrictEqual(result.keyImagesUnknown, [HASHES.keyImageC])
+        })
+    })
+  })
+
+  describe('search', () => {
+    it('resolves false when nothing matches', () => {
+      const database = backend({})
+
+      database.getBlockHeaderByHash = () => Promise.reject(Object.assign(new Error('Requested block not found'), { code: 'NOT_FOUND' }))
+
+      return database.search(HASHES.blockA)
+        .then(result => assert.strictEqual(result, false))
+    })
+
+    it('passes along errors that are not misses', () => {
+      const database = backend({})
+
+      database.getBlockHeaderByHash = () => Promise.reject(new Error('Connection lost'))
+
+      return database.search(HASHES.blockA)
+        .then(() => assert.fail('Expected the search to fail'), error => {
+          assert.strictEqual(error.message, 'Connection lost')
+        })
+    })
+
+    it('finds key images spent in the pool', () => {
+      const database = backend({
+        transaction_pool: args => args.map(hash => { return { txnHash: hash } })
+      })
+
+      database.getBlockHeaderByHash = () => Promise.reject(Object.assign(new Error('Requested block not found'), { code: 'NOT_FOUND' }))
+      database.getTransaction = () => Promise.reject(Object.assign(new Error('Transaction not found'), { code: 'NOT_FOUND' }))
+
+      return database.recordPoolKeyImages(HASHES.poolTx, [HASHES.keyImageA])
+        .then(() => database.search(HASHES.keyImageA))
+        .then(result => {
+          assert.deepStrictEqual(result, { type: 'keyImage', data: { status: 'pool', keyImage: HASHES.keyImageA, hash: HASHES.poolTx } })
+        })
+    })
+  })
+})
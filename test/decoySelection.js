@@ -0,0 +1,70 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const DecoySelection = require('../lib/decoySelection')
+
+function mean (values) {
+  return values.reduce((total, value) => total + value, 0) / values.length
+}
+
+function sample (count, fn) {
+  const values = []
+
+  for (var i = 0; i < count; i++) values.push(fn())
+
+  return values
+}
+
+describe('DecoySelection', () => {
+  it('draws uniform numbers in [0, 1)', () => {
+    const values = sample(5000, DecoySelection.uniform)
+
+    values.forEach(value => assert(value >= 0 && value < 1))
+    assert(Math.abs(mean(values) - 0.5) < 0.03)
+  })
+
+  it('draws normal numbers around zero', () => {
+    const values = sample(5000, DecoySelection.normal)
+    const variance = mean(values.map(value => value * value))
+
+    assert(Math.abs(mean(values)) < 0.1)
+    assert(Math.abs(variance - 1) < 0.1)
+  })
+
+  it('draws gamma numbers with the expected mean', () => {
+    const shape = 19.28
+    const scale = 1 / 1.61
+    const values = sample(5000, () => DecoySelection.gamma(shape, scale))
+
+    values.forEach(value => assert(value > 0))
+    assert(Math.abs(mean(values) - shape * scale) / (shape * scale) < 0.03)
+  })
+
+  describe('gammaIndex', () => {
+    const gamma = DecoySelection.gamma
+
+    afterEach(() => { DecoySelection.gamma = gamma })
+
+    it('maps the drawn age on to the outputs counting back from the newest', () => {
+      DecoySelection.gamma = () => Math.log(630)
+
+      assert.strictEqual(DecoySelection.gammaIndex(1000, 60, 19.28, 1 / 1.61), 990)
+    })
+
+    it('picks the newest output for ages younger than the time between outputs', () => {
+      DecoySelection.gamma = () => Math.log(30)
+
+      assert.strictEqual(DecoySelection.gammaIndex(1000, 60, 19.28, 1 / 1.61), 1000)
+    })
+
+    it('returns false for ages older than the first output', () => {
+      DecoySelection.gamma = () => Math.log(60 * 1010)
+
+      assert.strictEqual(DecoySelection.gammaIndex(1000, 60, 19.28, 1 / 1.61), false)
+    })
+  })
+})
@@ -0,0 +1,99 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const HealthCheck = require('../lib/healthCheck')
+
+describe('HealthCheck', () => {
+  const database = {
+    query: () => Promise.resolve([]),
+    getLastBlockHeader: () => Promise.resolve({ height: 100, timestamp: Math.floor(Date.now() / 1000) }),
+    getInfo: () => Promise.resolve({ network_height: 101 })
+  }
+
+  function relay (circuits) {
+    return { status: () => circuits }
+  }
+
+  it('is ok when every check is ok', () => {
+    const health = new HealthCheck(database, { connected: true }, { relay: relay({}) })
+
+    return health.run()
+      .then(report => {
+        assert.strictEqual(report.status, 'ok')
+        assert.deepStrictEqual(Object.keys(report.checks).sort(), ['chain', 'database', 'rabbit', 'redis', 'relay'])
+      })
+  })
+
+  it('is in error when a check fails', () => {
+    const health = new HealthCheck(database, { connected: false })
+
+    return health.run()
+      .then(report => {
+        assert.strictEqual(report.status, 'error')
+        assert.strictEqual(report.checks.rabbit.status, 'error')
+        assert.strictEqual(report.checks.database.status, 'ok')
+      })
+  })
+
+  it('only runs the checks that it is asked to', () => {
+    const health = new HealthCheck(database, { connected: false })
+
+    return health.run(['database', 'redis'])
+      .then(report => {
+        assert.strictEqual(report.status, 'ok')
+        assert.deepStrictEqual(Object.keys(report.checks).sort(), ['database', 'redis'])
+      })
+  })
+
+  it('reports checks that throw or that it does not know as failures instead of rejecting', () => {
+    const broken = Object.assign({}, database, { query: () => { throw new Error('Pool is closed') } })
+    const health = new HealthCheck(broken, { connected: true })
+
+    return health.run(['database', 'nonexistent'])
+      .then(report => {
+        assert.strictEqual(report.status, 'error')
+        assert.strictEqual(report.checks.database.message, 'Pool is closed')
+        assert.strictEqual(report.checks.nonexistent.message, 'Unknown health check: nonexistent')
+      })
+  })
+
+  it('fails checks that take too long', () => {
+    const slow = Object.assign({}, database, { query: () => new Promise(() => {}) })
+    const health = new HealthCheck(slow, { connected: true }, { timeout: 20 })
+
+    return health.run(['database'])
+      .then(report => {
+        assert.strictEqual(report.checks.database.status, 'error')
+        assert(/did not complete/.test(report.checks.database.message))
+      })
+  })
+
+  it('reports open relay circuits without failing the overall status', () => {
+    const health = new HealthCheck(database, { connected: true }, {
+      relay: relay({ primary: { state: 'open' }, secondary: { state: 'closed' } })
+    })
+
+    return health.run()
+      .then(report => {
+        assert.strictEqual(report.status, 'ok')
+        assert.strictEqual(report.checks.relay.status, 'ok')
+        assert.deepStrictEqual(report.checks.relay.open, ['primary'])
+        assert(/primary/.test(report.checks.relay.message))
+      })
+  })
+
+  it('fails the chain check when the cache falls behind the network', () => {
+    const behind = Object.assign({}, database, { getInfo: () => Promise.resolve({ network_height: 200 }) })
+    const health = new HealthCheck(behind, { connected: true })
+
+    return health.run(['chain'])
+      .then(report => {
+        assert.strictEqual(report.checks.chain.status, 'error')
+        assert.strictEqual(report.checks.chain.heightLag, 99)
+      })
+  })
+})
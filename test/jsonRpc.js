@@ -0,0 +1,114 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const JsonRpc = require('../lib/jsonRpc')
+
+const ERRORS = JsonRpc.errors
+
+function notFound () {
+  const error = new Error('Requested block not found')
+  error.code = 'NOT_FOUND'
+  return Promise.reject(error)
+}
+
+describe('JsonRpc', () => {
+  const database = {
+    getBlockCount: () => Promise.resolve(11),
+    getBlockHash: notFound,
+    getBlockHeaderByHeight: notFound,
+    getBlockHeaderByHash: notFound,
+    getTransaction: () => Promise.reject(new Error('ER_CON_COUNT_ERROR: Too many connections'))
+  }
+
+  const relay = {
+    request: () => Promise.resolve({ queue: 'test', response: { error: 'Block not accepted' } })
+  }
+
+  const rpc = new JsonRpc(database, relay)
+
+  it('answers requests with the same ID', () => {
+    return rpc.handle({ jsonrpc: '2.0', id: 'abc', method: 'getblockcount' })
+      .then(response => {
+        assert.deepStrictEqual(response, { jsonrpc: '2.0', id: 'abc', result: { count: 11, status: 'OK' } })
+      })
+  })
+
+  it('does not answer notifications, even when they fail', () => {
+    return Promise.all([
+      rpc.handle({ jsonrpc: '2.0', method: 'getblockcount' }),
+      rpc.handle({ jsonrpc: '2.0', method: 'nonexistent' }),
+      rpc.handle({ jsonrpc: '2.0', method: 'getblockheaderbyhash', params: { hash: 'c'.repeat(64) } })
+    ])
+      .then(responses => {
+        assert.deepStrictEqual(responses, [false, false, false])
+      })
+  })
+
+  it('rejects requests that are not request objects', () => {
+    return Promise.all([null, [], 'getblockcount', { id: 1 }].map(request => rpc.handle(request)))
+      .then(responses => {
+        responses.forEach(response => {
+          assert.strictEqual(response.id, null)
+          assert.strictEqual(response.error.code, ERRORS.INVALID_REQUEST)
+        })
+      })
+  })
+
+  it('rejects methods that it does not know', () => {
+    return rpc.handle({ id: 1, method: 'nonexistent' })
+      .then(response => {
+        assert.strictEqual(response.error.code, ERRORS.METHOD_NOT_FOUND)
+      })
+  })
+
+  it('rejects methods that the caller may not use', () => {
+    return rpc.handle({ id: 1, method: 'submitblock', params: ['00'] }, method => method !== 'submitblock')
+      .then(response => {
+        assert.strictEqual(response.error.code, ERRORS.FORBIDDEN)
+      })
+  })
+
+  it('checks the parameters that it is given', () => {
+    return Promise.all([
+      rpc.handle({ id: 1, method: 'on_getblockhash', params: { height: 1 } }),
+      rpc.handle({ id: 2, method: 'getblockheaderbyhash', params: { hash: 'xyz' } }),
+      rpc.handle({ id: 3, method: 'getblocktemplate', params: { reserve_size: 8, wallet_address: 'not an address' } })
+    ])
+      .then(responses => {
+        responses.forEach(response => assert.strictEqual(response.error.code, ERRORS.INVALID_PARAMS))
+        assert.strictEqual(responses[2].error.message, 'Invalid address supplied')
+      })
+  })
+
+  it('answers with the daemon error codes for things that do not exist', () => {
+    return Promise.all([
+      rpc.handle({ id: 1, method: 'on_getblockhash', params: [11] }),
+      rpc.handle({ id: 2, method: 'getblockheaderbyheight', params: { height: 11 } }),
+      rpc.handle({ id: 3, method: 'getblockheaderbyhash', params: { hash: 'c'.repeat(64) } })
+    ])
+      .then(responses => {
+        assert.strictEqual(responses[0].error.code, ERRORS.TOO_BIG_HEIGHT)
+        assert.strictEqual(responses[1].error.code, ERRORS.TOO_BIG_HEIGHT)
+        assert.strictEqual(responses[2].error.code, ERRORS.WRONG_PARAM)
+        assert.strictEqual(responses[2].error.message, 'Requested block not found')
+      })
+  })
+
+  it('does not tell the caller about our own failures', () => {
+    return rpc.handle({ id: 1, method: 'f_transaction_json', params: { hash: 'c'.repeat(64) } })
+      .then(response => {
+        assert.deepStrictEqual(response.error, { code: ERRORS.INTERNAL_ERROR, message: 'Internal error' })
+      })
+  })
+
+  it('passes on what the relay agent said when it turns something down', () => {
+    return rpc.handle({ id: 1, method: 'submitblock', params: ['00'] })
+      .then(response => {
+        assert.deepStrictEqual(response.error, { code: ERRORS.INTERNAL_ERROR, message: 'Block not accepted' })
+      })
+  })
+})
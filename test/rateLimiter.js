@@ -0,0 +1,123 @@
+// Copyright (c) 2018-2019, TurtlePay Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const RateLimiter = require('../lib/rateLimiter')
+
+describe('RateLimiter', () => {
+  const budgets = {
+    cheap: { capacity: 10, refillRate: 2, routes: ['/height'] },
+    expensive: { capacity: 2, refillRate: 0.5, routes: ['/sync', '/getwalletsyncdata'] }
+  }
+
+  it('refuses to start with a budget that can never be spent', () => {
+    assert.throws(() => new RateLimiter(false, { budgets: { broken: { capacity: 10 } } }), /must have a capacity and refill rate/)
+  })
+
+  describe('budgetFor', () => {
+    const limiter = new RateLimiter(false, { budgets: budgets })
+
+    it('charges routes and everything beneath them to their budget', () => {
+      assert.strictEqual(limiter.budgetFor('/sync').name, 'expensive')
+      assert.strictEqual(limiter.budgetFor('/getwalletsyncdata/100/10').name, 'expensive')
+      assert.strictEqual(limiter.budgetFor('/height').name, 'cheap')
+    })
+
+    it('does not charge routes that only share a prefix', () => {
+      assert.strictEqual(limiter.budgetFor('/syncing'), false)
+      assert.strictEqual(limiter.budgetFor('/block/header/top'), false)
+    })
+
+    it('applies overrides without changing the budget itself', () => {
+      const budget = limiter.budgetFor('/sync', { expensive: { capacity: 100 } })
+
+      assert.strictEqual(budget.capacity, 100)
+      assert.strictEqual(budget.refillRate, 0.5)
+      assert.strictEqual(limiter.budgetFor('/sync').capacity, 2)
+    })
+  })
+
+  describe('takeLocal', () => {
+    const budget = { name: 'expensive', capacity: 2, refillRate: 0.5 }
+
+    it('starts every client with a full bucket', () => {
+      const limiter = new RateLimiter()
+
+      assert.deepStrictEqual(limiter.takeLocal(budget, 'a', 1, 0), { allowed: true, tokens: 1 })
+      assert.deepStrictEqual(limiter.takeLocal(budget, 'a', 1, 0), { allowed: true, tokens: 0 })
+      assert.deepStrictEqual(limiter.takeLocal(budget, 'a', 1, 0), { allowed: false, tokens: 0 })
+    })
+
+    it('keeps a separate bucket for each client', () => {
+      const limiter = new RateLimiter()
+
+      limiter.takeLocal(budget, 'a', 2, 0)
+
+      assert.strictEqual(limiter.takeLocal(budget, 'a', 1, 0).allowed, false)
+      assert.strictEqual(limiter.takeLocal(budget, 'b', 1, 0).allowed, true)
+    })
+
+    it('refills the bucket over time, up to its capacity', () => {
+      const limiter = new RateLimiter()
+
+      limiter.takeLocal(budget, 'a', 2, 0)
+
+      assert.deepStrictEqual(limiter.takeLocal(budget, 'a', 1, 1000), { allowed: false, tokens: 0.5 })
+      assert.deepStrictEqual(limiter.takeLocal(budget, 'a', 1, 2000), { allowed: true, tokens: 0 })
+      assert.deepStrictEqual(limiter.takeLocal(budget, 'a', 1, 60000), { allowed: true, tokens: 1 })
+    })
+
+    it('does not take tokens for a request that it turns away', () => {
+      const limiter = new RateLimiter()
+
+      assert.strictEqual(limiter.takeLocal(budget, 'a', 3, 0).allowed, false)
+      assert.deepStrictEqual(limiter.takeLocal(budget, 'a', 2, 0), { allowed: true, tokens: 0 })
+    })
+
+    it('does not refill when the clock goes backwards', () => {
+      const limiter = new RateLimiter()
+
+      limiter.takeLocal(budget, 'a', 2, 10000)
+
+      assert.strictEqual(limiter.takeLocal(budget, 'a', 1, 0).allowed, false)
+    })
+
+    it('forgets the least recently used clients first', () => {
+      const limiter = new RateLimiter(false, { maxLocalEntries: 2 })
+
+      limiter.takeLocal(budget, 'a', 2, 0)
+      limiter.takeLocal(budget, 'b', 2, 0)
+      limiter.takeLocal(budget, 'a', 0, 0)
+      limiter.takeLocal(budget, 'c', 2, 0)
+
+      assert.strictEqual(limiter.local.size, 2)
+      assert.strictEqual(limiter.takeLocal(budget, 'a', 1, 0).allowed, false)
+      assert.strictEqual(limiter.takeLocal(budget, 'b', 1, 0).allowed, true)
+    })
+  })
+
+  describe('take', () => {
+    it('reports what is left and when to come back', () => {
+      const limiter = new RateLimiter()
+      const budget = { name: 'expensive', capacity: 2, refillRate: 0.5 }
+
+      return limiter.take(budget, 'a', 2)
+        .then(result => {
+          assert.strictEqual(result.allowed, true)
+          assert.strictEqual(result.limit, 2)
+          assert.strictEqual(result.remaining, 0)
+          assert.strictEqual(result.retryAfter, 0)
+
+          return limiter.take(budget, 'a')
+        })
+        .then(result => {
+          assert.strictEqual(result.allowed, false)
+          assert(result.retryAfter >= 1 && result.retryAfter <= 2)
+          assert(result.reset >= 1 && result.reset <= 4)
+        })
+    })
+  })
+})